@@ -1,11 +1,12 @@
 #!/usr/bin/env node
-import { Command } from "commander";
 import OpenAI from "openai";
+import { Command, Option } from "commander";
 import {
   intro,
   outro,
   spinner,
   select,
+  multiselect,
   confirm,
   text,
   isCancel,
@@ -13,26 +14,470 @@ import {
   group,
 } from "@clack/prompts";
 import pc from "picocolors";
-import { execSync } from "child_process";
+import { spawnSync } from "child_process";
+import crypto from "crypto";
+import os from "os";
 import dotenv from "dotenv";
 import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
 
 dotenv.config();
 
 // --- Configuration & Helpers ---
-const SHEET_WEBHOOK_URL = process.env.GOOGLE_SHEET_WEBHOOK_URL;
-const PM = fs.existsSync("pnpm-lock.yaml") ? "pnpm" : "npm";
+const RELEASE_TYPES = [
+  "patch",
+  "minor",
+  "major",
+  "prepatch",
+  "preminor",
+  "premajor",
+  "prerelease",
+  "graduate",
+  "none",
+];
 
-const sh = (cmd, ignore = false) => {
+const COMMIT_TYPES = ["feat", "fix", "docs", "style", "refactor", "perf", "test", "build", "ci", "chore", "revert"];
+
+const DEFAULT_PROMPT =
+  `Analyze diff, return JSON with "msg" (conventional commit) and "desc" (technical summary):\n` +
+  "{diff}";
+
+const readPkg = () => {
   try {
-    return execSync(cmd, { stdio: "pipe" }).toString().trim();
-  } catch (e) {
-    if (!ignore)
-      throw new Error(e?.stderr?.toString() || e?.message || String(e));
-    return "";
+    return JSON.parse(fs.readFileSync("package.json", "utf8"));
+  } catch {
+    return {};
+  }
+};
+
+const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+
+// The "packageManager" field wins ("yarn@4.1.0"), then whichever lockfile exists
+function detectPackageManager() {
+  const field = readPkg().packageManager?.split("@")[0];
+  if (PACKAGE_MANAGERS.includes(field)) return field;
+  if (fs.existsSync("pnpm-lock.yaml")) return "pnpm";
+  if (fs.existsSync("bun.lock") || fs.existsSync("bun.lockb")) return "bun";
+  if (fs.existsSync("yarn.lock")) return "yarn";
+  return "npm";
+}
+
+// Yarn 2+ ("berry") has its own CLI for versioning, lockfiles and publishing
+const isYarnBerry = () => {
+  const field = readPkg().packageManager;
+  if (field?.startsWith("yarn@")) return parseInt(field.slice(5), 10) >= 2;
+  return fs.existsSync(".yarnrc.yml");
+};
+
+// Effective settings. Precedence, lowest to highest:
+// defaults → config file → environment variables → CLI flags
+const cfg = {
+  source: null,
+  remote: "origin",
+  defaultBranch: null, // null = detect main/master on the remote
+  packageManager: detectPackageManager(),
+  versionSource: "auto", // package.json, Cargo.toml, pyproject.toml, VERSION or tags
+  scripts: { build: "build", test: null },
+  commitPrompt: DEFAULT_PROMPT,
+  releaseTypes: [...RELEASE_TYPES],
+  staging: { ignore: [], maxFileSizeKb: 1024 },
+  // pattern: regex new names must match; protected: globs prune never deletes
+  branches: { template: "{type}/{ticket}-{slug}", pattern: null, protected: [], staleDays: 90 },
+  commits: { lint: true, types: COMMIT_TYPES, scopes: [], maxLength: 72 }, // scopes: [] = any
+  preid: null, // prerelease identifier: alpha, beta, rc…
+  pr: { host: null, apiUrl: null }, // null = detect from the remote URL
+  publish: { enabled: false, tag: null, access: null, registry: null },
+  ai: { provider: "openai" },
+  logging: { sinks: [] },
+};
+
+// Runs a program from an argv array, never through a shell
+const run = (argv, options = {}) => {
+  const [cmd, ...args] = argv;
+  const res = spawnSync(cmd, args, {
+    encoding: "utf8",
+    stdio: "pipe",
+    maxBuffer: 64 * 1024 * 1024,
+    ...options,
+  });
+  return {
+    stdout: (res.stdout || "").trimEnd(),
+    stderr: (res.stderr || "").trim(),
+    code: res.error ? null : res.status,
+    error: res.error,
+  };
+};
+
+// stdout of a successful run; throws (or returns "" with `ignore`) otherwise
+const sh = (argv, ignore = false, options = {}) => {
+  const res = run(argv, options);
+  if (res.code === 0) return res.stdout;
+  if (ignore) return "";
+  throw new Error(
+    res.stderr || res.error?.message || `${argv[0]} exited with ${res.code}`
+  );
+};
+
+// Shell-style rendering of an argv, for plans and messages only
+const formatCmd = (argv) =>
+  argv
+    .map((a) =>
+      /^[\w@%+=:,./^~{}-]+$/.test(a) ? a : `'${String(a).replace(/'/g, "'\\''")}'`
+    )
+    .join(" ");
+
+// Package manager invocation; npm & co. are .cmd shims on Windows
+const pmCmd = (...args) =>
+  process.platform === "win32"
+    ? ["cmd", "/c", cfg.packageManager, ...args]
+    : [cfg.packageManager, ...args];
+
+const LOCKFILES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "pnpm-lock.yaml",
+  "yarn.lock",
+  "bun.lock",
+  "bun.lockb",
+];
+
+// Refreshes the lockfile after manifests changed, without a full install
+const lockfileCmd = () => {
+  switch (cfg.packageManager) {
+    case "pnpm":
+    case "bun":
+      return pmCmd("install", "--lockfile-only");
+    case "yarn":
+      return isYarnBerry() ? pmCmd("install", "--mode=update-lockfile") : pmCmd("install");
+    default:
+      return pmCmd("install", "--package-lock-only");
+  }
+};
+
+// Exit codes for non-interactive runs, one per failure stage
+const EXIT = {
+  usage: 2,
+  repo: 3,
+  pipeline: 4,
+  ai: 5,
+  commit: 6,
+  version: 7,
+  push: 8,
+  sync: 9,
+  stash: 10,
+  undo: 11,
+  publish: 12,
+  lint: 13,
+  pr: 14,
+  branch: 15,
+  hooks: 16,
+};
+
+const fail = (stage, msg) => Object.assign(new Error(msg), { stage });
+
+// --- Config File ---
+const CONFIG_FILES = [".ottorc.json", ".ottorc", "otto.config.js", "otto.config.mjs"];
+
+const rule = (expects, test) => Object.assign(test, { expects });
+const is = {
+  boolean: rule("true or false", (v) => typeof v === "boolean"),
+  string: rule("a non-empty string", (v) => typeof v === "string" && !!v),
+  number: rule("a number", (v) => typeof v === "number" && !Number.isNaN(v)),
+  regex: rule("a valid regular expression", (v) => {
+    try {
+      return typeof v === "string" && !!new RegExp(v);
+    } catch {
+      return false;
+    }
+  }),
+  oneOf: (...vals) => rule(`one of ${vals.join(", ")}`, (v) => vals.includes(v)),
+  mapOf: (r) =>
+    rule(
+      `an object of ${r.expects}`,
+      (v) => !!v && typeof v === "object" && !Array.isArray(v) && Object.values(v).every(r)
+    ),
+  listOf: (r) =>
+    rule(`a list of ${r.expects}`, (v) => Array.isArray(v) && v.every(r)),
+  shape: (schema) =>
+    rule(`{ ${Object.keys(schema).join(", ")} }`, (v) =>
+      validateConfig(v, schema).length === 0
+    ),
+};
+
+const CONFIG_SCHEMA = {
+  remote: is.string,
+  defaultBranch: is.string,
+  packageManager: is.oneOf(...PACKAGE_MANAGERS),
+  versionSource: is.oneOf("auto", "npm", "cargo", "pyproject", "file", "tag"),
+  scripts: { build: is.string, test: is.string },
+  commitPrompt: is.string,
+  releaseTypes: is.listOf(is.oneOf(...RELEASE_TYPES)),
+  staging: { ignore: is.listOf(is.string), maxFileSizeKb: is.number },
+  branches: {
+    template: is.string,
+    pattern: is.regex,
+    protected: is.listOf(is.string),
+    staleDays: is.number,
+  },
+  commits: {
+    lint: is.boolean,
+    types: is.listOf(is.string),
+    scopes: is.listOf(is.string),
+    maxLength: is.number,
+  },
+  preid: is.string,
+  pr: { host: is.oneOf("github", "gitlab", "bitbucket", "azure"), apiUrl: is.string },
+  publish: {
+    enabled: is.boolean,
+    tag: is.string,
+    access: is.oneOf("public", "restricted"),
+    registry: is.string,
+  },
+  ai: {
+    provider: is.string,
+    model: is.string,
+    temperature: is.number,
+    timeout: is.number,
+    maxTokens: is.number,
+    maxFileTokens: is.number,
+  },
+  logging: {
+    sinks: is.listOf(
+      is.shape({
+        type: is.string,
+        url: is.string,
+        path: is.string,
+        headers: is.mapOf(is.string),
+        secret: is.string,
+      })
+    ),
+  },
+};
+
+// Returns a list of "path: problem" strings, empty when valid
+function validateConfig(obj, schema = CONFIG_SCHEMA, prefix = "") {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj))
+    return [`${prefix || "config"}: expected an object`];
+
+  const errors = [];
+  for (const [key, value] of Object.entries(obj)) {
+    const at = prefix + key;
+    const check = schema[key];
+    if (!check) errors.push(`${at}: unknown option`);
+    else if (typeof check === "function") {
+      if (value !== null && !check(value))
+        errors.push(`${at}: expected ${check.expects}`);
+    } else errors.push(...validateConfig(value, check, `${at}.`));
+  }
+
+  // The shapes only check keys that are set; a sink can't do without a type
+  if (schema === CONFIG_SCHEMA && Array.isArray(obj.logging?.sinks))
+    obj.logging.sinks.forEach((sink, i) => {
+      const at = `logging.sinks[${i}].type`;
+      if (!sink || typeof sink !== "object") return;
+      if (sink.type === undefined) errors.push(`${at}: required`);
+      else if (!Object.hasOwn(SINKS, sink.type))
+        errors.push(`${at}: expected one of ${Object.keys(SINKS).join(", ")}`);
+    });
+  return errors;
+}
+
+const ENV_KEYS = {
+  remote: "OTTO_REMOTE",
+  defaultBranch: "OTTO_DEFAULT_BRANCH",
+  packageManager: "OTTO_PACKAGE_MANAGER",
+  versionSource: "OTTO_VERSION_SOURCE",
+  preid: "OTTO_PREID",
+  "pr.host": "OTTO_PR_HOST",
+  "pr.apiUrl": "OTTO_PR_API_URL",
+  "publish.tag": "OTTO_DIST_TAG",
+  "publish.registry": "OTTO_REGISTRY",
+  "scripts.build": "OTTO_BUILD_SCRIPT",
+  "scripts.test": "OTTO_TEST_SCRIPT",
+  "ai.provider": "OTTO_AI_PROVIDER",
+  "ai.model": "OTTO_AI_MODEL",
+  "ai.temperature": "OTTO_AI_TEMPERATURE",
+  "ai.timeout": "OTTO_AI_TIMEOUT",
+  "ai.maxTokens": "OTTO_AI_MAX_TOKENS",
+  "ai.maxFileTokens": "OTTO_AI_MAX_FILE_TOKENS",
+};
+
+const FLAG_KEYS = {
+  remote: "remote",
+  defaultBranch: "defaultBranch",
+  packageManager: "pm",
+  versionSource: "versionSource",
+  preid: "preid",
+  "publish.enabled": "publish",
+  "publish.tag": "distTag",
+  "publish.registry": "registry",
+};
+
+const setPath = (obj, key, value) => {
+  const parts = key.split(".");
+  const last = parts.pop();
+  for (const p of parts) obj = obj[p] ??= {};
+  obj[last] = value;
+};
+
+const merge = (base, over) => {
+  for (const [k, v] of Object.entries(over)) {
+    const isObj = v && typeof v === "object" && !Array.isArray(v);
+    if (isObj) base[k] = merge({ ...(base[k] || {}) }, v);
+    else if (v !== undefined) base[k] = v;
+  }
+  return base;
+};
+
+// Nearest config file from cwd upwards
+function findConfig(dir = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return file;
+  }
+  const parent = path.dirname(dir);
+  return parent === dir ? null : findConfig(parent);
+}
+
+async function readConfig(file) {
+  if (!/\.m?js$/.test(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  const mod = await import(pathToFileURL(path.resolve(file)).href);
+  return typeof mod.default === "function" ? mod.default() : mod.default;
+}
+
+async function loadConfig(flags = {}) {
+  const file = flags.config || findConfig();
+  const layers = [];
+
+  if (file) {
+    let data;
+    try {
+      data = await readConfig(file);
+    } catch (e) {
+      throw fail("usage", `Could not read ${file}: ${e.message}`);
+    }
+    layers.push([file, data]);
+  }
+
+  const env = {};
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === "") continue;
+    const num = Number(raw);
+    const numeric = /temperature|timeout|Tokens/.test(key);
+    setPath(env, key, numeric && !Number.isNaN(num) ? num : raw);
+  }
+  if (process.env.GOOGLE_SHEET_WEBHOOK_URL) {
+    const fileSinks = layers[0]?.[1]?.logging?.sinks || [];
+    env.logging = {
+      sinks: [
+        ...fileSinks.filter((sink) => sink.type !== "sheet"),
+        { type: "sheet", url: process.env.GOOGLE_SHEET_WEBHOOK_URL },
+      ],
+    };
+  }
+  layers.push(["environment", env]);
+
+  const cli = {};
+  for (const [key, flag] of Object.entries(FLAG_KEYS))
+    if (flags[flag]) setPath(cli, key, flags[flag]);
+  layers.push(["CLI flags", cli]);
+
+  for (const [source, data] of layers) {
+    const errors = validateConfig(data);
+    if (errors.length)
+      throw fail("usage", `Invalid config (${source}):\n  - ${errors.join("\n  - ")}`);
+    merge(cfg, data);
+  }
+  if (!/^\w[\w.-]*$/.test(cfg.remote))
+    throw fail("usage", `Invalid remote name: ${cfg.remote}`);
+  if (cfg.defaultBranch && !git.branchName(cfg.defaultBranch))
+    throw fail("usage", `Invalid default branch: ${cfg.defaultBranch}`);
+  for (const sink of cfg.logging.sinks) {
+    const missing = SINKS[sink.type].requires.filter((key) => !sink[key]);
+    if (missing.length)
+      throw fail("usage", `Invalid config: ${sink.type} sink needs ${missing.join(", ")}`);
+  }
+
+  cfg.source = file ? path.resolve(file) : null;
+  return cfg;
+}
+
+// --- Dry Run ---
+// With --dry-run, mutating commands are recorded instead of executed.
+// Read-only queries (and the AI call) still run so the plan is accurate.
+const plan = {
+  active: false,
+  steps: [],
+  add: (step, detail = "") => plan.steps.push({ step, detail }),
+  print: () => {
+    const text =
+      plan.steps
+        .map(({ step, detail }, i) => {
+          const body = detail
+            ? "\n" + String(detail).replace(/^/gm, "     ")
+            : "";
+          return `${String(i + 1).padStart(2)}. ${step}${body}`;
+        })
+        .join("\n") || "Nothing to do.";
+    if (ui.headless) console.log(text);
+    else note(text, "🧪 Dry Run · nothing was changed");
+  },
+};
+
+const mutate = (argv, { ignore = false, detail, cwd } = {}) => {
+  if (!plan.active) return sh(argv, ignore, { cwd });
+  plan.add(cwd ? `${formatCmd(argv)}  (in ${cwd})` : formatCmd(argv), detail);
+  return "";
+};
+
+// Next version for a release type, following `npm version` semantics.
+// A stable bump of a prerelease (or "graduate") ships the version it led up to.
+const bumpVersion = (version, type, preid) => {
+  const [core, ...rest] = String(version || "0.0.0").split("-");
+  const pre = rest.join("-");
+  const [major, minor, patch] = core.split(".").map(Number);
+  const start = (v) => `${v}-${preid ? `${preid}.0` : "0"}`;
+
+  switch (type) {
+    case "major":
+      return pre && !minor && !patch ? core : `${major + 1}.0.0`;
+    case "minor":
+      return pre && !patch ? core : `${major}.${minor + 1}.0`;
+    case "patch":
+      return pre ? core : `${major}.${minor}.${patch + 1}`;
+    case "graduate":
+      return core;
+    case "premajor":
+      return start(`${major + 1}.0.0`);
+    case "preminor":
+      return start(`${major}.${minor + 1}.0`);
+    case "prepatch":
+      return start(`${major}.${minor}.${patch + 1}`);
+    case "prerelease": {
+      if (!pre) return start(`${major}.${minor}.${patch + 1}`);
+      const parts = pre.split(".");
+      if (preid && parts[0] !== preid) return start(core);
+      const last = parts.length - 1;
+      if (/^\d+$/.test(parts[last])) parts[last] = String(Number(parts[last]) + 1);
+      else parts.push("0");
+      return `${core}-${parts.join(".")}`;
+    }
+    default:
+      return version;
   }
 };
 
+const isPrerelease = (version) => String(version || "").includes("-");
+
+// npm dist-tag for a version: "latest", or the prerelease id ("beta", "rc")
+const distTag = (version) => {
+  if (!isPrerelease(version)) return "latest";
+  const id = String(version).split("-")[1].split(".")[0];
+  return /^\d+$/.test(id) ? "next" : id;
+};
+
 const wrap = (s, w = 60) => {
   if (!s) return "";
   return s
@@ -48,34 +493,37 @@ const wrap = (s, w = 60) => {
 
 // --- Git Helpers ---
 const git = {
-  isRepo: () => sh("git rev-parse --is-inside-work-tree", true) === "true",
+  isRepo: () =>
+    sh(["git", "rev-parse", "--is-inside-work-tree"], true) === "true",
 
   branch: () => {
     if (!git.isRepo()) return "no-git";
-    const b = sh("git symbolic-ref --short -q HEAD", true);
+    const b = sh(["git", "symbolic-ref", "--short", "-q", "HEAD"], true);
     if (b) return b;
-    const d = sh("git rev-parse --short HEAD", true);
+    const d = sh(["git", "rev-parse", "--short", "HEAD"], true);
     return d ? `detached@${d}` : "unborn";
   },
 
   defaultBranch: () => {
     if (!git.isRepo()) return null;
-    try {
-      sh("git rev-parse --verify origin/main");
-      return "origin/main";
-    } catch {
-      try {
-        sh("git rev-parse --verify origin/master");
-        return "origin/master";
-      } catch {
-        return "main";
-      }
+    const names = cfg.defaultBranch ? [cfg.defaultBranch] : ["main", "master"];
+    for (const name of names) {
+      const ref = `${cfg.remote}/${name}`;
+      if (sh(["git", "rev-parse", "--verify", "--quiet", ref], true)) return ref;
     }
+    return names[0];
   },
 
+  // Default branch without the remote prefix, e.g. "main"
+  defaultBranchName: () =>
+    (git.defaultBranch() || cfg.defaultBranch || "main").replace(
+      `${cfg.remote}/`,
+      ""
+    ),
+
   commitInfo: (ref) => {
     try {
-      const out = sh(`git log -1 --format="%h|%s|%ar" ${ref}`, true);
+      const out = sh(["git", "log", "-1", "--format=%h|%s|%ar", ref], true);
       if (!out) return null;
       const [hash, msg, time] = out.split("|");
       return { hash, msg, time };
@@ -86,7 +534,7 @@ const git = {
 
   commitsBehind: (target) => {
     try {
-      return sh(`git rev-list --count HEAD..${target}`, true);
+      return sh(["git", "rev-list", "--count", `HEAD..${target}`], true);
     } catch {
       return "0";
     }
@@ -95,64 +543,206 @@ const git = {
   upstreamBehindCount: () => {
     if (!git.isRepo()) return 0;
     try {
-      const count = sh("git rev-list --count HEAD..@{u}", true);
+      const count = sh(["git", "rev-list", "--count", "HEAD..@{u}"], true);
       return parseInt(count) || 0;
     } catch {
       return 0;
     }
   },
 
-  user: () => sh("git config user.name", true) || "Ghost",
+  user: () => sh(["git", "config", "user.name"], true) || "Ghost",
+
+  // Remote URL without any credentials embedded in it
+  remoteUrl: () =>
+    sh(["git", "remote", "get-url", "--end-of-options", cfg.remote], true).replace(
+      /^(\w+:\/\/)[^@/]+@/,
+      "$1"
+    ) || null,
 
   diff: (staged = true) =>
-    sh(`git diff ${staged ? "--cached" : ""} --stat`, true),
+    sh(["git", "diff", ...(staged ? ["--cached"] : []), "--stat"], true),
 
-  rawDiff: () => sh("git diff --cached", true),
+  rawDiff: () => sh(["git", "diff", "--cached"], true),
+
+  // What the release's staging step would commit, diffed on a throwaway
+  // copy of the index
+  pendingDiff: (args = [], { add = ["."], reset = [] } = {}) => {
+    const index = sh(["git", "rev-parse", "--git-path", "index"], true);
+    const tmp = path.join(os.tmpdir(), `otto-index-${process.pid}`);
+    const env = { ...process.env, GIT_INDEX_FILE: tmp };
+    try {
+      if (fs.existsSync(index)) fs.copyFileSync(index, tmp);
+      if (reset.length) run(["git", "reset", "-q", "--", ...reset], { env });
+      if (add.length) run(["git", "add", "-A", "--", ...add], { env });
+      return run(["git", "diff", "--cached", ...args], { env }).stdout;
+    } catch {
+      return "";
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+  },
+
+  status: (paths = []) =>
+    sh(["git", "status", "--porcelain", ...(paths.length ? ["--", ...paths] : [])], true),
+
+  // Files with unresolved conflicts
+  conflicts: () =>
+    sh(["git", "diff", "--name-only", "--diff-filter=U"], true).split("\n").filter(Boolean),
+
+  // "rebase" or "merge" when one stopped half-way, else null
+  inProgress: () => {
+    const exists = (p) => fs.existsSync(sh(["git", "rev-parse", "--git-path", p], true));
+    if (exists("rebase-merge") || exists("rebase-apply")) return "rebase";
+    return exists("MERGE_HEAD") ? "merge" : null;
+  },
+
+  // Local branches plus remote-only ones, most recently committed first.
+  // ahead/behind are against the upstream (null without one).
+  branches: () => {
+    const out = sh(
+      [
+        "git",
+        "for-each-ref",
+        "--sort=-committerdate",
+        "--format=%(refname)%1f%(refname:short)%1f%(committerdate:unix)%1f%(upstream:short)%1f%(upstream:track,nobracket)",
+        "refs/heads",
+        `refs/remotes/${cfg.remote}`,
+      ],
+      true
+    );
+    const all = out
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [ref, short, date, upstream, track] = line.split("\x1f");
+        const count = (what) => Number(track.match(new RegExp(`${what} (\\d+)`))?.[1] || 0);
+        return {
+          name: short,
+          remote: ref.startsWith("refs/remotes/"),
+          date: new Date(Number(date) * 1000),
+          upstream: upstream || null,
+          gone: track === "gone",
+          ahead: upstream ? count("ahead") : null,
+          behind: upstream ? count("behind") : null,
+        };
+      });
+    const local = new Set(all.filter((b) => !b.remote).map((b) => `${cfg.remote}/${b.name}`));
+    return all.filter(
+      (b) => !b.remote || (!local.has(b.name) && b.name !== `${cfg.remote}/HEAD` && b.name !== cfg.remote)
+    );
+  },
+
+  // Normalized branch name, or null when git would reject it
+  branchName: (name) =>
+    sh(["git", "check-ref-format", "--branch", String(name)], true) || null,
+
+  // Full commit hash for a user-supplied revision, or null
+  resolve: (rev) =>
+    sh(
+      ["git", "rev-parse", "--verify", "--quiet", "--end-of-options", `${rev}^{commit}`],
+      true
+    ) || null,
 
   // Auto-stash for switching branches
   stash: () => {
     if (!git.isRepo()) return false;
-    const isDirty = sh("git status --porcelain", true).length > 0;
+    // Untracked files stay put and aren't stashed, so they don't count
+    const isDirty = sh(["git", "status", "--porcelain", "--untracked-files=no"], true).length > 0;
     if (!isDirty) return false;
-    sh('git stash push -m "Otto Auto-Switch"', true);
+    mutate(["git", "stash", "push", "-m", "Otto Auto-Switch"], { ignore: true });
     return true;
   },
 
-  // Manual stash with message
-  stashSave: (msg = "Otto Stash") => {
-    const isDirty = sh("git status --porcelain", true).length > 0;
+  // Manual stash with message; optionally only some paths and/or untracked files
+  stashSave: (msg = "Otto Stash", { paths = [], untracked = false } = {}) => {
+    const isDirty = git.status(paths).length > 0;
     if (!isDirty) throw new Error("No local changes to stash");
-    sh(`git stash push -m "${msg}"`);
+    mutate([
+      "git",
+      "stash",
+      "push",
+      ...(untracked ? ["--include-untracked"] : []),
+      "-m",
+      msg,
+      ...(paths.length ? ["--", ...paths] : []),
+    ]);
     return true;
   },
 
-  // List all stashes
+  // All stashes, newest first, with the branch they were made on and their age
   stashList: () => {
-    const out = sh("git stash list", true);
+    const out = sh(["git", "stash", "list", "--format=%gd%x1f%gs%x1f%ct"], true);
     if (!out) return [];
-    // Output: stash@{0}: On main: message...
+    // Subjects: "On main: message" or "WIP on main: abc1234 last commit"
     return out.split("\n").map((line) => {
-      const firstColon = line.indexOf(":");
-      const ref = line.substring(0, firstColon);
-      const msg = line.substring(firstColon + 1).trim();
-      return { ref, msg };
+      const [ref, subject, time] = line.split("\x1f");
+      const m = /^(?:WIP on|On) (.+?): (.*)$/.exec(subject);
+      const date = new Date(Number(time) * 1000);
+      return {
+        ref,
+        msg: m ? m[2] : subject,
+        branch: m ? m[1] : null,
+        date,
+        age: ago(date),
+      };
     });
   },
 
   pop: () => {
     if (!git.isRepo()) return false;
     try {
-      sh("git stash pop");
+      mutate(["git", "stash", "pop"]);
       return true;
     } catch {
       return false;
     }
   },
 
+  lastTag: (ref = "HEAD", match, exclude = []) =>
+    sh(
+      [
+        "git",
+        "describe",
+        "--tags",
+        "--abbrev=0",
+        ...(match ? ["--match", match] : []),
+        ...exclude.flatMap((glob) => ["--exclude", glob]),
+        "--end-of-options",
+        ref,
+      ],
+      true
+    ) || null,
+
+  // Commits in from..to (everything reachable from `to` when no `from`),
+  // optionally only those touching `paths`
+  commits: (from, to = "HEAD", paths = []) => {
+    const range = from ? `${from}..${to}` : to;
+    const out = sh(
+      [
+        "git",
+        "log",
+        "--format=%H%x1f%h%x1f%an%x1f%s%x1f%b%x1e",
+        "--end-of-options",
+        range,
+        ...(paths.length ? ["--", ...paths] : []),
+      ],
+      true
+    );
+    if (!out) return [];
+    return out
+      .split("\x1e")
+      .map((rec) => rec.trim())
+      .filter(Boolean)
+      .map((rec) => {
+        const [hash, short, author, subject, body = ""] = rec.split("\x1f");
+        return { hash, short, author, subject, body };
+      });
+  },
+
   log: (limit = 10) => {
     if (!git.isRepo()) return [];
     const out = sh(
-      `git log -n ${limit} --pretty=format:"%h|%s|%an|%ar"`,
+      ["git", "log", "-n", String(limit), "--pretty=format:%h|%s|%an|%ar"],
       true
     );
     if (!out) return [];
@@ -163,11 +753,51 @@ const git = {
   },
 };
 
+// Progress output used instead of clack's spinner when running headless.
+// It goes to stderr so `--json` keeps stdout machine-readable.
+const plainSpinner = {
+  start: (msg) => console.error(msg),
+  message: (msg) => console.error(msg),
+  stop: (msg) => console.error(msg),
+};
+
 const ui = {
-  die: (msg) => {
+  // Set by commands run with --yes / --json: no prompts, no banner
+  headless: false,
+  json: false,
+
+  die: (msg, stage) => {
+    if (ui.headless) {
+      ui.result({ ok: false, stage: stage || "unexpected", error: msg });
+      process.exit(EXIT[stage] || 1);
+    }
     outro(pc.red(msg));
     process.exit(1);
   },
+
+  // Interactive: show the error and let the flow return.
+  // Headless: throw so the command exits with the stage's code.
+  fail: (stage, msg, title = "Error") => {
+    if (ui.headless) throw fail(stage, msg);
+    note(msg, title);
+  },
+
+  spinner: () => (ui.headless ? plainSpinner : spinner()),
+
+  note: (msg, title) => {
+    if (!ui.headless) return note(msg, title);
+    console.error(title ? `${title}: ${msg}` : msg);
+  },
+
+  log: (msg) => (ui.headless ? console.error(msg) : console.log(msg)),
+
+  result: (data) => {
+    if (ui.json) return console.log(JSON.stringify(data, null, 2));
+    const out = data.ok === false ? console.error : console.log;
+    for (const [k, v] of Object.entries(data))
+      out(`${k}: ${v && typeof v === "object" ? JSON.stringify(v) : v}`);
+  },
+
   banner: () => {
     console.clear();
     intro(pc.bgCyan(pc.black(" Otto by @thev1ndu ")));
@@ -176,12 +806,26 @@ const ui = {
     const br = git.branch();
 
     console.log(pc.dim(`👋 Hello, ${user} (on ${pc.cyan(br)})`));
-    console.log(pc.dim(`🔧 Using: ${PM}`));
+    const pm = cfg.packageManager === "yarn" && isYarnBerry() ? "yarn (berry)" : cfg.packageManager;
+    const source = versionSource();
+    console.log(pc.dim(`🔧 Using: ${pm} · version from ${source.file || "git tags"}`));
+    if (cfg.source) console.log(pc.dim(`⚙️  Config: ${cfg.source}`));
 
     // --- Services Check ---
     const services = [];
-    if (process.env.OPENAI_API_KEY) services.push("🤖 AI");
-    if (process.env.GOOGLE_SHEET_WEBHOOK_URL) services.push("📊 Sheets");
+    // An unknown provider is reported when the AI is first used
+    const ai = (() => {
+      try {
+        return aiConfig();
+      } catch {
+        return null;
+      }
+    })();
+    if (ai && providers[ai.provider].ready())
+      services.push(`🤖 AI (${ai.provider}/${ai.model})`);
+    const sinkIcons = { sheet: "📊 Sheets", file: "📄 Log file", webhook: "🔗 Webhook", slack: "💬 Slack" };
+    for (const type of new Set(cfg.logging.sinks.map((sink) => sink.type)))
+      services.push(sinkIcons[type]);
 
     if (services.length > 0) {
       console.log(pc.dim(`⚡ Services: ${services.join(" + ")}`));
@@ -229,518 +873,4132 @@ const ui = {
   },
 };
 
-// --- Services ---
-async function logToSheet(data) {
-  if (!SHEET_WEBHOOK_URL) return;
-  try {
-    await fetch(SHEET_WEBHOOK_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(data),
-    });
-  } catch {
-    // ignore
-  }
-}
-
-async function generateCommit(diff) {
-  if (!process.env.OPENAI_API_KEY) ui.die("Missing OPENAI_API_KEY");
-
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  const s = spinner();
-  s.start(pc.magenta("🤖 AI Analyzing changes"));
+// --- AI Providers ---
+// Selected with OTTO_AI_PROVIDER; every adapter resolves to the model's raw
+// text reply so generateCommit doesn't care who answered.
+const providers = {
+  // OpenAI or any OpenAI-compatible gateway via OPENAI_BASE_URL
+  openai: {
+    model: "gpt-4o-mini",
+    key: "OPENAI_API_KEY",
+    ready: () =>
+      Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+    complete: async (prompt, ai) => {
+      const openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY || "none",
+        baseURL: process.env.OPENAI_BASE_URL || undefined,
+        timeout: ai.timeout,
+        maxRetries: 1,
+      });
+      const res = await openai.chat.completions.create({
+        model: ai.model,
+        temperature: ai.temperature,
+        messages: [{ role: "user", content: prompt }],
+        response_format: { type: "json_object" },
+      });
+      return res.choices?.[0]?.message?.content || "{}";
+    },
+  },
 
-  try {
-    const res = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
+  // Local Ollama server
+  ollama: {
+    model: "llama3.1",
+    key: "OLLAMA_HOST",
+    ready: () => true,
+    complete: async (prompt, ai) => {
+      const host = process.env.OLLAMA_HOST || "http://localhost:11434";
+      const res = await postJson(
+        `${host.replace(/\/$/, "")}/api/chat`,
         {
-          role: "user",
-          content:
-            `Analyze diff, return JSON with "msg" (conventional commit) and "desc" (technical summary):\n` +
-            diff.substring(0, 15000),
+          model: ai.model,
+          stream: false,
+          format: "json",
+          messages: [{ role: "user", content: prompt }],
+          options:
+            ai.temperature === undefined
+              ? undefined
+              : { temperature: ai.temperature },
         },
-      ],
-      response_format: { type: "json_object" },
-    });
+        {},
+        ai.timeout
+      );
+      return res.message?.content || "{}";
+    },
+  },
 
-    s.stop(pc.green("✔ AI Analysis Complete"));
-    return JSON.parse(res.choices?.[0]?.message?.content || "{}");
-  } catch (e) {
-    s.stop(pc.red("✖ AI Failed"));
-    throw e;
-  }
-}
+  // Anthropic Messages API
+  anthropic: {
+    model: "claude-3-5-haiku-latest",
+    key: "ANTHROPIC_API_KEY",
+    ready: () => Boolean(process.env.ANTHROPIC_API_KEY),
+    complete: async (prompt, ai) => {
+      const base = process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com";
+      const res = await postJson(
+        `${base.replace(/\/$/, "")}/v1/messages`,
+        {
+          model: ai.model,
+          max_tokens: 1024,
+          temperature: ai.temperature,
+          system: "Reply with a single JSON object and nothing else.",
+          messages: [{ role: "user", content: prompt }],
+        },
+        {
+          "x-api-key": process.env.ANTHROPIC_API_KEY,
+          "anthropic-version": "2023-06-01",
+        },
+        ai.timeout
+      );
+      return (res.content || [])
+        .filter((c) => c.type === "text")
+        .map((c) => c.text)
+        .join("");
+    },
+  },
+};
 
-// --- Flows ---
+const aiConfig = () => {
+  const provider = (cfg.ai.provider || "openai").toLowerCase();
+  if (!providers[provider])
+    throw fail(
+      "ai",
+      `Unknown AI provider "${provider}" (use ${Object.keys(providers).join(", ")})`
+    );
+  return {
+    provider,
+    model: cfg.ai.model || providers[provider].model,
+    temperature: cfg.ai.temperature,
+    timeout: cfg.ai.timeout || 60000,
+    // Diff budget sent to the model, roughly 4 characters per token
+    maxTokens: cfg.ai.maxTokens || 6000,
+    maxFileTokens: cfg.ai.maxFileTokens || 1500,
+  };
+};
 
-async function checkForUpdates() {
-  if (!git.isRepo()) return;
+const postJson = async (url, body, headers, timeout) => {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!res.ok)
+    throw new Error(`${url} responded ${res.status}: ${await res.text()}`);
+  return res.json();
+};
 
+// Models sometimes wrap the JSON in prose or code fences
+const parseJson = (text) => {
   try {
-    sh("git fetch", true);
+    return JSON.parse(text);
   } catch {
-    return;
+    const m = String(text).match(/\{[\s\S]*\}/);
+    return m ? JSON.parse(m[0]) : {};
   }
+};
 
-  let behind = 0;
-  const current = git.branch();
-  const defaultBr = git.defaultBranch();
+// --- Conventional Commits & Changelog ---
+const CONVENTIONAL = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
 
-  // Smart check: If on main, check against origin/main regardless of upstream config
-  if (
-    defaultBr &&
-    (current === "main" ||
-      current === "master" ||
-      current === defaultBr.replace("origin/", ""))
-  ) {
-    behind = parseInt(git.commitsBehind(defaultBr)) || 0;
-  } else {
-    behind = git.upstreamBehindCount();
-  }
+const parseCommit = (c) => {
+  const m = c.subject.match(CONVENTIONAL);
+  return {
+    ...c,
+    type: m ? m[1].toLowerCase() : null,
+    scope: m?.[2] || null,
+    breaking: Boolean(m?.[3]) || /^BREAKING[ -]CHANGE:/m.test(c.body),
+    description: m ? m[4] : c.subject,
+  };
+};
 
-  if (behind > 0) {
-    const shouldPull = await confirm({
-      message: `Your branch is behind by ${behind} commits. Pull them?`,
-    });
+// Version commits made by `npm version` / Otto itself
+const isVersionCommit = (c) =>
+  /^v?\d+\.\d+\.\d+\S*$/.test(c.subject) || /^chore\(release\):/.test(c.subject);
 
-    if (isCancel(shouldPull)) process.exit(0);
+// Messages git writes itself, which lint-commits leaves alone
+const GIT_MESSAGES = /^(Merge |Revert "|fixup! |squash! |amend! )/;
 
-    if (shouldPull) {
-      const s = spinner();
-      s.start(pc.blue("🔄 Pulling latest changes..."));
-      try {
-        sh(`git pull origin ${current}`);
-        s.stop(pc.green("✔ Updated"));
-        ui.banner();
-      } catch (e) {
-        s.stop(pc.red("✖ Pull Failed"));
-        note(e.message);
-      }
-    }
+// Problems with a commit message under `cfg.commits`, empty when it's fine
+function lintCommit(message) {
+  const { types, scopes, maxLength } = cfg.commits;
+  const [header = "", second, ...rest] = String(message).trim().split("\n");
+  const body = rest.join("\n");
+  const problems = [];
+
+  const m = header.match(/^(\w+)(?:\(([^)]*)\))?(!)?: (\S.*)$/);
+  if (!m) problems.push('not a conventional commit: expected "type(scope): description"');
+  else {
+    const [, type, scope, , description] = m;
+    if (!types.includes(type)) problems.push(`unknown type "${type}" (use ${types.join(", ")})`);
+    if (scope !== undefined && !scope.trim()) problems.push("empty scope: drop the ()");
+    else if (scope && scopes.length && !scopes.includes(scope))
+      problems.push(`unknown scope "${scope}" (use ${scopes.join(", ")})`);
+    if (/[.。]$/.test(description)) problems.push("subject ends with a period");
   }
+  if (header.length > maxLength)
+    problems.push(`subject is ${header.length} characters (max ${maxLength})`);
+  if (second?.trim()) problems.push("leave a blank line between the subject and the body");
+
+  const footer = body.match(/^breaking[ _-]?changes?\s*:.*$/im)?.[0];
+  if (footer && !/^BREAKING[ -]CHANGE: \S/.test(footer))
+    problems.push(`write the breaking change footer as "BREAKING CHANGE: <what changed>"`);
+  return problems;
 }
 
-async function flowUndo() {
-  if (!git.isRepo()) {
-    note("Not a git repository.", "Error");
-    return;
+const TYPE_ALIASES = { feature: "feat", bugfix: "fix", bug: "fix", doc: "docs", tests: "test", perfs: "perf" };
+
+// The mechanical fixes: type case and aliases, spacing, a trailing period,
+// the breaking change footer, and `scope` when the header has none
+function fixCommit(message, scope) {
+  const [header = "", ...rest] = String(message).trim().split("\n");
+  const m = header.match(/^\s*(\w+)\s*(?:\(\s*([^)]*?)\s*\))?\s*(!)?\s*:\s*(.+?)[\s.。]*$/);
+  let fixed = header.trim();
+  if (m) {
+    const type = TYPE_ALIASES[m[1].toLowerCase()] || m[1].toLowerCase();
+    const s = m[2] || (scope && cfg.commits.types.includes(type) ? scope : "");
+    fixed = `${type}${s ? `(${s})` : ""}${m[3] || ""}: ${m[4]}`;
   }
+  const body = rest
+    .join("\n")
+    .replace(/^breaking[ _-]?changes?\s*:\s*/gim, "BREAKING CHANGE: ")
+    .trim();
+  return body ? `${fixed}\n\n${body}` : fixed;
+}
 
-  const s = spinner();
-  s.start(pc.dim("Fetching history"));
-  const history = git.log(15);
-  s.stop(pc.dim("History loaded"));
+// Directories that hold code rather than name it: src/api/x.js → api
+const SCOPE_CONTAINERS = ["src", "lib", "libs", "packages", "apps", "modules"];
 
-  if (!history.length) {
-    note("No commit history found to undo.", "ℹ Empty");
-    return;
-  }
+// The one area all `files` are in, or null when they span several
+function inferScope(files) {
+  const areas = new Set(
+    files.map((f) => {
+      const dirs = f.split("/").slice(0, -1);
+      while (dirs.length > 1 && SCOPE_CONTAINERS.includes(dirs[0])) dirs.shift();
+      return dirs[0] && !SCOPE_CONTAINERS.includes(dirs[0]) ? dirs[0] : null;
+    })
+  );
+  const [scope] = areas;
+  const { scopes } = cfg.commits;
+  return areas.size === 1 && scope && (!scopes.length || scopes.includes(scope)) ? scope : null;
+}
 
-  const targetHash = await select({
-    message: "Reset branch to which commit?",
-    options: history.map((c, i) => {
-      const label = i === 0 ? `${c.msg} (Current)` : c.msg;
-      return {
-        value: c.hash,
-        label: `${pc.cyan(c.hash)} ${label}`,
-        hint: `${c.author}, ${c.time}`,
-      };
-    }),
-  });
+// Paths in a unified diff
+const diffFiles = (diff) =>
+  [...String(diff).matchAll(/^diff --git a\/.+? b\/(.+)$/gm)].map((m) => m[1]);
 
-  if (isCancel(targetHash)) return;
+// Validator for commit message prompts: whatever fixCommit can't fix
+const validateSubject = (v) => {
+  if (!v?.trim()) return "The message can't be empty";
+  if (cfg.commits.lint) return lintCommit(fixCommit(v)).join("; ") || undefined;
+};
 
-  if (targetHash === history[0].hash) {
-    note("You selected the current commit. No changes made.", "ℹ Info");
-    return;
+// Messages that skip the prompt (--message, --yes) are only warned about
+const warnLint = (message) => {
+  const problems = cfg.commits.lint ? lintCommit(message) : [];
+  if (problems.length) ui.note(problems.join("\n"), "⚠ Commit lint");
+};
+
+// Suggested bump for a set of commits. Below 1.0.0 breaking changes only
+// bump minor and features only bump patch.
+function recommendBump(commits, version = versionSource().read() || "0.0.0") {
+  const parsed = commits.map(parseCommit).filter((c) => !isVersionCommit(c));
+  const pre1 = parseInt(version) === 0;
+  const rules = [
+    ["breaking change", (c) => c.breaking, pre1 ? "minor" : "major"],
+    ["feature", (c) => c.type === "feat", pre1 ? "patch" : "minor"],
+    ["fix", (c) => c.type === "fix" || c.type === "perf", "patch"],
+  ];
+
+  for (const [what, match, type] of rules) {
+    const hits = parsed.filter(match);
+    if (!hits.length) continue;
+    const shown = hits.slice(0, 5).map((c) => `${c.short} ${c.subject}`);
+    if (hits.length > 5) shown.push(`…and ${hits.length - 5} more`);
+    return {
+      type,
+      reason: `${hits.length} ${what}${hits.length > 1 ? "s" : ""}${
+        pre1 ? " (pre-1.0)" : ""
+      }:\n${shown.join("\n")}`,
+    };
   }
 
-  const resetMode = await select({
-    message: "How should we reset?",
-    options: [
-      { value: "--soft", label: "🧸 Soft Reset", hint: "Keep changes staged" },
-      {
-        value: "--mixed",
-        label: "🚧 Mixed Reset",
-        hint: "Keep changes in working dir",
-      },
-      { value: "--hard", label: "🧨 Hard Reset", hint: "DESTROY changes" },
-    ],
-  });
+  return {
+    type: "none",
+    reason: parsed.length
+      ? "No feat, fix, perf or breaking commits."
+      : "No commits since the last release.",
+  };
+}
 
-  if (isCancel(resetMode)) return;
+const CHANGELOG_SECTIONS = [
+  ["Breaking Changes", (c) => c.breaking],
+  ["Features", (c) => c.type === "feat"],
+  ["Fixes", (c) => c.type === "fix"],
+  ["Other", () => true],
+];
 
-  if (resetMode === "--hard") {
-    const safe = await confirm({
-      message: pc.red("⚠️  This will delete all uncommitted changes. Sure?"),
-    });
-    if (!safe || isCancel(safe)) return;
-  }
+// `dependencies` are internal packages bumped along with it ("@x/a@1.1.0")
+function renderChangelog(title, commits, dependencies = []) {
+  const date = new Date().toISOString().slice(0, 10);
+  const left = commits.map(parseCommit).filter((c) => !isVersionCommit(c));
+  const lines = [`## ${title} (${date})`];
 
-  const r = spinner();
-  r.start(pc.yellow(`Resetting to ${targetHash}...`));
+  for (const [heading, match] of CHANGELOG_SECTIONS) {
+    const picked = left.filter(match);
+    if (!picked.length) continue;
+    for (const c of picked) left.splice(left.indexOf(c), 1);
 
-  try {
-    sh(`git reset ${resetMode} ${targetHash}`);
-    r.stop(pc.green(`✔ Reset complete (${resetMode})`));
-    note(`HEAD is now at ${targetHash}`, "ℹ Reset Info");
-  } catch (e) {
-    r.stop(pc.red("✖ Reset failed"));
-    console.error(e.message);
+    lines.push("", `### ${heading}`, "");
+    for (const c of picked) {
+      const scope = c.scope ? `**${c.scope}:** ` : "";
+      lines.push(`- ${scope}${c.description} (${c.short} by ${c.author})`);
+    }
   }
+
+  if (dependencies.length)
+    lines.push("", "### Dependencies", "", ...dependencies.map((d) => `- Updated ${d.replace(/@([^@]+)$/, " to $1")}`));
+  if (lines.length === 1) lines.push("", "_No changes._");
+  return lines.join("\n") + "\n";
 }
 
-async function flowStash() {
-  if (!git.isRepo()) {
-    note("Not a git repository.", "Error");
+// Prepends a section below the "# Changelog" heading, creating the file if needed
+function writeChangelog(section, file = "CHANGELOG.md") {
+  if (plan.active) return plan.add(`Prepend to ${file}`, section);
+  const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  const header = "# Changelog\n\n";
+  const rest = current.startsWith("# Changelog")
+    ? current.replace(/^# Changelog\s*/, "")
+    : current;
+  fs.writeFileSync(file, header + section + (rest ? "\n" + rest : ""));
+}
+
+// --- Workspaces ---
+const DEP_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+// Globs from pnpm-workspace.yaml or the "workspaces" field of package.json
+function workspacePatterns() {
+  if (fs.existsSync("pnpm-workspace.yaml")) {
+    const yaml = fs.readFileSync("pnpm-workspace.yaml", "utf8");
+    const block = yaml.split(/^packages:\s*$/m)[1]?.split(/^\S/m)[0] || "";
+    return [...block.matchAll(/^\s+-\s*["']?([^"'#\n]+?)["']?\s*$/gm)].map(
+      (m) => m[1]
+    );
+  }
+  const ws = readPkg().workspaces;
+  return Array.isArray(ws) ? ws : ws?.packages || [];
+}
+
+// Directories matching a workspace glob; supports `*` and `**` segments
+function expandGlob(pattern) {
+  const segs = pattern.replace(/^\.\//, "").split("/").filter(Boolean);
+  const subdirs = (dir) => {
+    try {
+      return fs
+        .readdirSync(dir, { withFileTypes: true })
+        .filter((d) => d.isDirectory() && d.name !== "node_modules" && !d.name.startsWith("."))
+        .map((d) => path.join(dir, d.name));
+    } catch {
+      return [];
+    }
+  };
+  const walk = (dir, i) => {
+    if (i === segs.length) return [dir];
+    const seg = segs[i];
+    if (seg === "**")
+      return [...walk(dir, i + 1), ...subdirs(dir).flatMap((d) => walk(d, i))];
+    if (!seg.includes("*")) {
+      const next = path.join(dir, seg);
+      return fs.existsSync(next) ? walk(next, i + 1) : [];
+    }
+    const re = new RegExp(
+      `^${seg.split("*").map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`
+    );
+    return subdirs(dir)
+      .filter((d) => re.test(path.basename(d)))
+      .flatMap((d) => walk(d, i + 1));
+  };
+  return walk(".", 0);
+}
+
+function workspacePackages() {
+  const patterns = workspacePatterns();
+  const excluded = new Set(
+    patterns.filter((p) => p.startsWith("!")).flatMap((p) => expandGlob(p.slice(1)))
+  );
+  const dirs = new Set(
+    patterns.filter((p) => !p.startsWith("!")).flatMap((p) => expandGlob(p))
+  );
+
+  return [...dirs]
+    .filter((dir) => !excluded.has(dir) && fs.existsSync(path.join(dir, "package.json")))
+    .map((dir) => {
+      const file = path.join(dir, "package.json");
+      const pkg = JSON.parse(fs.readFileSync(file, "utf8"));
+      return { name: pkg.name, version: pkg.version, private: !!pkg.private, dir, file };
+    })
+    .filter((p) => p.name && p.version)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Commits touching a package since its last `name@version` tag, and
+// whether it has uncommitted changes that the release commit will pick up
+function packageChanges(pkg) {
+  const since = git.lastTag("HEAD", `${pkg.name}@*`);
+  return {
+    since,
+    commits: git.commits(since, "HEAD", [pkg.dir]),
+    dirty: git.status([pkg.dir]).length > 0,
+  };
+}
+
+const BUMP_RANK = ["none", "patch", "minor", "major"];
+
+const compareVersions = (a, b) => {
+  const [ca, pa] = a.split("-");
+  const [cb, pb] = b.split("-");
+  const na = ca.split(".").map(Number);
+  const nb = cb.split(".").map(Number);
+  for (let i = 0; i < 3; i++) if (na[i] !== nb[i]) return na[i] - nb[i];
+  if (!pa || !pb) return (pa ? -1 : 0) + (pb ? 1 : 0);
+  return pa.localeCompare(pb, undefined, { numeric: true });
+};
+
+// Writes a JSON file the way it was formatted: indentation (none for a
+// one-line file), line endings and final newline; recorded in a dry run
+function writeJson(file, data, detail) {
+  if (plan.active) return plan.add(`Write ${file}`, detail);
+  const raw = fs.readFileSync(file, "utf8");
+  const indent = raw.match(/^([ \t]+)"/m)?.[1] ?? (raw.trim().includes("\n") ? 2 : 0);
+  const eol = raw.includes("\r\n") ? "\r\n" : "\n";
+  const text = JSON.stringify(data, null, indent).replace(/\n/g, eol);
+  fs.writeFileSync(file, /\n$/.test(raw) ? text + eol : text);
+}
+
+// Internal dependency ranges in a manifest that should point at the new
+// versions, as [field, dep, range, next]. `workspace:` ranges are left for
+// the package manager to resolve.
+const rangeUpdates = (data, versions) =>
+  DEP_FIELDS.flatMap((field) =>
+    Object.entries(data[field] || {}).flatMap(([dep, range]) => {
+      const prefix = range.match(/^(\^|~|>=)?\d/);
+      if (!versions.has(dep) || !prefix) return [];
+      const next = (prefix[1] || "") + versions.get(dep);
+      return next === range ? [] : [[field, dep, range, next]];
+    })
+  );
+
+// Sets new versions and bumps internal dependency ranges that point at them
+function updateManifests(versions) {
+  const files = [];
+  for (const file of ["package.json", ...workspacePackages().map((p) => p.file)]) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    const changes = [];
+
+    if (versions.has(data.name) && file !== "package.json") {
+      changes.push(`version ${data.version} → ${versions.get(data.name)}`);
+      data.version = versions.get(data.name);
+    }
+    for (const [field, dep, range, next] of rangeUpdates(data, versions)) {
+      changes.push(`${field}.${dep} ${range} → ${next}`);
+      data[field][dep] = next;
+    }
+
+    if (!changes.length) continue;
+    writeJson(file, data, changes.join("\n"));
+    files.push(file);
+  }
+  return files;
+}
+
+// The packages a workspace release bumps, each with its type and version.
+// `releases` is a list of { pkg, type, dirty }; "auto" types are resolved
+// here. `pending` is the dry run's release commit, which dirty packages get.
+function planWorkspace(releases, { lockstep, preid, pending = [] }) {
+  let planned = releases
+    .map(({ pkg, type, dirty }) => {
+      const { since, commits: found } = packageChanges(pkg);
+      const commits = dirty ? [...pending, ...found] : found;
+      const resolved =
+        type === "auto" ? recommendBump(commits, pkg.version).type : type;
+      return { pkg, type: resolved, since, commits, dependencies: [] };
+    })
+    .filter((r) => r.type !== "none");
+  if (!planned.length) return [];
+
+  // Lockstep: the highest bump, applied to the highest current version
+  if (lockstep) {
+    const type = planned
+      .map((r) => r.type)
+      .sort((a, b) => BUMP_RANK.indexOf(b) - BUMP_RANK.indexOf(a))[0];
+    const base = planned
+      .map((r) => r.pkg.version)
+      .sort(compareVersions)
+      .pop();
+    const version = bumpVersion(base, type, preid);
+    planned = planned.map((r) => ({ ...r, type, version }));
+  } else {
+    planned = planned.map((r) => ({
+      ...r,
+      version: bumpVersion(r.pkg.version, r.type, preid),
+    }));
+  }
+
+  // A package whose dependency ranges move gets released too (a patch, or
+  // the lockstep version), else its new manifest ships under the old version
+  const packages = workspacePackages();
+  for (let added = true; added; ) {
+    added = false;
+    const versions = new Map(planned.map((r) => [r.pkg.name, r.version]));
+    for (const pkg of packages) {
+      if (versions.has(pkg.name)) continue;
+      const updates = rangeUpdates(JSON.parse(fs.readFileSync(pkg.file, "utf8")), versions);
+      if (!updates.length) continue;
+      const { since, commits } = packageChanges(pkg);
+      planned.push({
+        pkg,
+        type: lockstep ? planned[0].type : "patch",
+        version: lockstep ? planned[0].version : bumpVersion(pkg.version, "patch"),
+        since,
+        commits,
+        dependencies: [...new Set(updates.map(([, dep]) => `${dep}@${versions.get(dep)}`))],
+      });
+      added = true;
+    }
+  }
+  return planned;
+}
+
+// Bumps the planned packages in one commit with a `name@version` tag each
+function releaseWorkspace(planned, { changelog }) {
+  if (!planned.length) return [];
+  const versions = new Map(planned.map((r) => [r.pkg.name, r.version]));
+  const files = updateManifests(versions);
+
+  if (changelog) {
+    for (const r of planned) {
+      const file = path.join(r.pkg.dir, "CHANGELOG.md");
+      writeChangelog(renderChangelog(`${r.pkg.name}@${r.version}`, r.commits, r.dependencies), file);
+      files.push(file);
+    }
+  }
+
+  // Keep the lockfile in sync with the new versions
+  const lockfiles = LOCKFILES.filter((f) => fs.existsSync(f));
+  if (lockfiles.length) {
+    mutate(lockfileCmd());
+    files.push(...lockfiles);
+  }
+
+  const tags = planned.map((r) => `${r.pkg.name}@${r.version}`);
+  mutate(["git", "add", "--", ...files]);
+  mutate([
+    "git",
+    "commit",
+    "-m",
+    `chore(release): ${tags.join(", ")}`,
+    "--",
+    ...files,
+  ]);
+  txn.commit();
+  for (const tag of tags) {
+    mutate(["git", "tag", "-a", tag, "-m", tag]);
+    txn.tag(tag);
+  }
+
+  return planned.map((r, i) => ({
+    name: r.pkg.name,
+    dir: r.pkg.dir,
+    private: r.pkg.private,
+    type: r.type,
+    version: r.version,
+    tag: tags[i],
+  }));
+}
+
+// Interactive / flag-driven choice of packages and bump types
+async function pickWorkspaceReleases(packages, opts) {
+  const changes = new Map(packages.map((p) => [p.name, packageChanges(p)]));
+  const changed = packages.filter(
+    (p) => changes.get(p.name).commits.length || changes.get(p.name).dirty
+  );
+
+  let names = opts.packages
+    ? opts.packages.split(",").map((n) => n.trim()).filter(Boolean)
+    : null;
+  const unknown = (names || []).filter((n) => !packages.some((p) => p.name === n));
+  if (unknown.length)
+    return ui.fail("usage", `Unknown workspace package: ${unknown.join(", ")}`);
+
+  if (!names && ui.headless) names = changed.map((p) => p.name);
+  if (!names) {
+    names = await multiselect({
+      message: "Packages to release",
+      required: false,
+      initialValues: changed.map((p) => p.name),
+      options: packages.map((p) => {
+        const { since, commits } = changes.get(p.name);
+        return {
+          value: p.name,
+          label: `${p.name} ${pc.dim(p.version)}`,
+          hint: commits.length
+            ? `${commits.length} commit(s) since ${since || "start"}`
+            : changes.get(p.name).dirty
+              ? "uncommitted changes"
+              : "unchanged",
+        };
+      }),
+    });
+    if (isCancel(names)) return null;
+  }
+
+  const picked = packages.filter((p) => names.includes(p.name));
+  let lockstep = Boolean(opts.lockstep);
+  if (!ui.headless && !opts.lockstep && picked.length > 1) {
+    const mode = await select({
+      message: "Versioning",
+      options: [
+        { value: "independent", label: "🧩 Independent", hint: "Bump each package" },
+        { value: "lockstep", label: "🔗 Lockstep", hint: "One version for all" },
+      ],
+    });
+    if (isCancel(mode)) return null;
+    lockstep = mode === "lockstep";
+  }
+
+  const ask = async (message, commits, version) => {
+    const rec = recommendBump(commits, version);
+    const type = await select({
+      message,
+      options: releaseTypeOptions(version, rec),
+      initialValue: cfg.releaseTypes.includes(rec.type) ? rec.type : undefined,
+    });
+    return isCancel(type) ? null : type;
+  };
+
+  let releases;
+  const dirty = (pkg) => changes.get(pkg.name).dirty;
+  if (opts.type)
+    releases = picked.map((pkg) => ({ pkg, type: opts.type, dirty: dirty(pkg) }));
+  else if (lockstep) {
+    const all = picked.flatMap((p) => changes.get(p.name).commits);
+    const base = picked.map((p) => p.version).sort(compareVersions).pop();
+    const type = await ask("Release Type (all packages)", all, base);
+    if (!type) return null;
+    releases = picked.map((pkg) => ({ pkg, type, dirty: dirty(pkg) }));
+  } else {
+    releases = [];
+    for (const pkg of picked) {
+      const type = await ask(`Release Type · ${pkg.name}`, changes.get(pkg.name).commits, pkg.version);
+      if (!type) return null;
+      releases.push({ pkg, type, dirty: dirty(pkg) });
+    }
+  }
+  return { releases, lockstep };
+}
+
+// --- Version Sources ---
+// Where a project keeps its version. Each source reads the current version
+// and writes a new one, returning the files that belong in the version commit.
+
+// Writes a text file; recorded in a dry run
+function writeText(file, text, detail) {
+  if (plan.active) return plan.add(`Write ${file}`, detail);
+  fs.writeFileSync(file, text);
+}
+
+// Position of `key = "value"` in the first of `tables` that sets it.
+// Scans line by line: enough for version fields, not a TOML parser.
+function tomlField(text, tables, key) {
+  for (const table of tables) {
+    const header = new RegExp(
+      `^\\[${table.replace(/\./g, "\\.")}\\][ \\t]*(#.*)?$`,
+      "m"
+    ).exec(text);
+    if (!header) continue;
+    const start = header.index + header[0].length;
+    const next = text.slice(start).search(/^[ \t]*\[/m);
+    const body = next < 0 ? text.slice(start) : text.slice(start, start + next);
+    const m = new RegExp(`^[ \\t]*${key}[ \\t]*=[ \\t]*"([^"]*)"`, "m").exec(body);
+    if (!m) continue;
+    const end = start + m.index + m[0].length - 1;
+    return { value: m[1], start: end - m[1].length, end };
+  }
+  return null;
+}
+
+const replaceField = (text, field, value) =>
+  text.slice(0, field.start) + value + text.slice(field.end);
+
+// Bumps the project's own entry in Cargo.lock / uv.lock, if it has one
+function bumpLockEntry(file, name, version) {
+  if (!name || !fs.existsSync(file)) return [];
+  const lock = fs.readFileSync(file, "utf8");
+  const entry = new RegExp(
+    `(\\[\\[package\\]\\]\\r?\\nname = "${name.replace(/[.+?^${}()|[\]\\]/g, "\\$&")}"\\r?\\nversion = ")[^"]*(")`
+  );
+  if (!entry.test(lock)) return [];
+  writeText(file, lock.replace(entry, `$1${version}$2`), `${name} → ${version}`);
+  return [file];
+}
+
+// PEP 440 spells prereleases 1.2.0b1 / 1.2.0rc1 / 1.2.0.dev1
+const PEP440_PRE = { alpha: "a", beta: "b", rc: "rc" };
+
+const toPep440 = (version) => {
+  const [core, pre] = version.split(/-(.*)/);
+  if (!pre) return core;
+  const [id, n = "0"] = pre.split(".");
+  if (/^\d+$/.test(id)) return `${core}.dev${id}`;
+  if (!PEP440_PRE[id])
+    throw new Error(`Prerelease "${id}" has no PEP 440 form (use alpha, beta or rc)`);
+  return `${core}${PEP440_PRE[id]}${n}`;
+};
+
+const fromPep440 = (version) => {
+  const m = /^v?(\d+(?:\.\d+)*)(?:\.?(a|b|rc|dev)\.?(\d+))?/.exec(version || "");
+  if (!m) return version;
+  const core = [...m[1].split("."), "0", "0"].slice(0, 3).join(".");
+  if (!m[2]) return core;
+  if (m[2] === "dev") return `${core}-${m[3]}`;
+  const id = Object.keys(PEP440_PRE).find((k) => PEP440_PRE[k] === m[2]);
+  return `${core}-${id}.${m[3]}`;
+};
+
+const CARGO_TABLES = ["package", "workspace.package"];
+const PYPROJECT_TABLES = ["project", "tool.poetry"];
+
+// In detection order; "tag" always matches
+const VERSION_SOURCES = {
+  npm: {
+    file: "package.json",
+    detect: () => !!readPkg().version,
+    read: () => readPkg().version,
+    write: (version) => {
+      if (["npm", "pnpm"].includes(cfg.packageManager)) {
+        // Bump without git so the changelog lands in the same version commit
+        mutate(pmCmd("version", version, "--no-git-tag-version"));
+        return ["package.json", "package-lock.json", "npm-shrinkwrap.json"].filter(
+          (f) => fs.existsSync(f)
+        );
+      }
+      // yarn and bun lockfiles don't record the root version
+      const pkg = readPkg();
+      writeJson("package.json", { ...pkg, version }, `version ${pkg.version} → ${version}`);
+      return ["package.json"];
+    },
+  },
+
+  cargo: {
+    file: "Cargo.toml",
+    detect: () => !!VERSION_SOURCES.cargo.field(),
+    field: () =>
+      fs.existsSync("Cargo.toml") &&
+      tomlField(fs.readFileSync("Cargo.toml", "utf8"), CARGO_TABLES, "version"),
+    read: () => VERSION_SOURCES.cargo.field()?.value,
+    write: (version) => {
+      const text = fs.readFileSync("Cargo.toml", "utf8");
+      const field = tomlField(text, CARGO_TABLES, "version");
+      writeText(
+        "Cargo.toml",
+        replaceField(text, field, version),
+        `version ${field.value} → ${version}`
+      );
+      const name = tomlField(text, ["package"], "name")?.value;
+      return ["Cargo.toml", ...bumpLockEntry("Cargo.lock", name, version)];
+    },
+  },
+
+  pyproject: {
+    file: "pyproject.toml",
+    detect: () => !!VERSION_SOURCES.pyproject.field(),
+    field: () =>
+      fs.existsSync("pyproject.toml") &&
+      tomlField(fs.readFileSync("pyproject.toml", "utf8"), PYPROJECT_TABLES, "version"),
+    read: () => {
+      const value = VERSION_SOURCES.pyproject.field()?.value;
+      return value && fromPep440(value);
+    },
+    write: (version) => {
+      const text = fs.readFileSync("pyproject.toml", "utf8");
+      const field = tomlField(text, PYPROJECT_TABLES, "version");
+      const next = toPep440(version);
+      writeText(
+        "pyproject.toml",
+        replaceField(text, field, next),
+        `version ${field.value} → ${next}`
+      );
+      const name = tomlField(text, PYPROJECT_TABLES, "name")?.value;
+      return ["pyproject.toml", ...bumpLockEntry("uv.lock", name, next)];
+    },
+  },
+
+  file: {
+    file: "VERSION",
+    detect: () => fs.existsSync("VERSION"),
+    read: () =>
+      fs.existsSync("VERSION") &&
+      fs.readFileSync("VERSION", "utf8").trim().replace(/^v/, ""),
+    write: (version) => {
+      const from = VERSION_SOURCES.file.read();
+      writeText("VERSION", `${version}\n`, `${from} → ${version}`);
+      return ["VERSION"];
+    },
+  },
+
+  // No file at all: the latest vX.Y.Z tag is the version, and releasing
+  // only creates the next tag
+  tag: {
+    file: null,
+    tagOnly: true,
+    detect: () => true,
+    read: () => git.lastTag("HEAD", "v[0-9]*")?.slice(1) || "0.0.0",
+    write: () => [],
+  },
+};
+
+// The vX.Y.Z tag a release counts from; other tags (pkg@x.y.z, anything
+// else) never are. A stable release also skips prereleases, so 1.1.0 lists
+// everything since 1.0.0, not just what came after 1.1.0-rc.2.
+const releaseTag = (ref = "HEAD", { stable = false } = {}) =>
+  git.lastTag(ref, "v[0-9]*", stable ? ["v*-*"] : []);
+
+function versionSource() {
+  const name =
+    cfg.versionSource && cfg.versionSource !== "auto"
+      ? cfg.versionSource
+      : Object.keys(VERSION_SOURCES).find((n) => VERSION_SOURCES[n].detect());
+  return { name, ...VERSION_SOURCES[name] };
+}
+
+// --- Diff Preprocessing ---
+const CHARS_PER_TOKEN = 4;
+
+// Files whose diffs are noise for a commit message
+const DIFF_EXCLUDE = [
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|pnpm-lock\.yaml|yarn\.lock|bun\.lockb?)$/,
+  /(^|\/)(Cargo\.lock|poetry\.lock|Pipfile\.lock|Gemfile\.lock|composer\.lock|go\.sum)$/,
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /(^|\/)(dist|build|coverage|vendor|node_modules)\//,
+];
+
+const SUMMARY_PROMPT =
+  `Summarize this part of a diff for a commit message. Return JSON with "summary" ` +
+  `(2-4 sentences naming the files and what changed):\n`;
+
+// Drops excluded and binary files, and caps each file at its token budget
+function prepareDiff(diff, maxFileTokens) {
+  const files = [];
+  const skipped = [];
+  const max = maxFileTokens * CHARS_PER_TOKEN;
+
+  for (const text of diff.split(/^(?=diff --git )/m)) {
+    const file = text.match(/^diff --git a\/.+? b\/(.+)$/m)?.[1];
+    if (!file) continue;
+    const binary = /^(Binary files .* differ|GIT binary patch)$/m.test(text);
+    if (binary || DIFF_EXCLUDE.some((re) => re.test(file))) {
+      skipped.push(file);
+      continue;
+    }
+    files.push(
+      text.length > max
+        ? `${text.slice(0, max)}\n… (${file} truncated, ${text.length - max} more characters)\n`
+        : text
+    );
+  }
+  return { files, skipped };
+}
+
+// Groups file diffs into chunks of at most `max` characters
+function chunkFiles(files, max) {
+  const chunks = [];
+  let size = Infinity;
+  for (const f of files) {
+    if (size + f.length > max) {
+      chunks.push([]);
+      size = 0;
+    }
+    chunks[chunks.length - 1].push(f);
+    size += f.length;
+  }
+  return chunks;
+}
+
+// --- Release Log ---
+// Every release is recorded in each configured sink. A delivery that fails is
+// queued in .otto/queue.jsonl and retried on the next run.
+const OTTO_DIR = ".otto";
+const QUEUE_FILE = path.join(OTTO_DIR, "queue.jsonl");
+const RELEASES_FILE = path.join(OTTO_DIR, "releases.jsonl");
+
+// Local state, kept out of git
+const ensureOttoDir = () => {
+  fs.mkdirSync(OTTO_DIR, { recursive: true });
+  const ignore = path.join(OTTO_DIR, ".gitignore");
+  if (!fs.existsSync(ignore)) fs.writeFileSync(ignore, "*\n");
+};
+
+const postBody = async (url, body, headers = {}) => {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) throw new Error(`${res.status} ${(await res.text()).slice(0, 200)}`);
+};
+
+// Slack mrkdwn needs &, < and > escaped
+const slackEscape = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const SINKS = {
+  // Google Apps Script web app (see "Google Sheets Setup")
+  sheet: {
+    requires: ["url"],
+    describe: (sink) => `POST ${sink.url}`,
+    send: (sink, record) => postBody(sink.url, JSON.stringify(record)),
+  },
+
+  file: {
+    requires: [],
+    describe: (sink) => `Append to ${sink.path || RELEASES_FILE}`,
+    send: async (sink, record) => {
+      const file = sink.path || RELEASES_FILE;
+      if (!sink.path) ensureOttoDir();
+      fs.appendFileSync(file, JSON.stringify(record) + "\n");
+    },
+  },
+
+  // Any HTTP endpoint. With a secret, the body is signed like GitHub's
+  // webhooks: X-Otto-Signature: sha256=<hex HMAC of the body>
+  webhook: {
+    requires: ["url"],
+    describe: (sink) => `POST ${sink.url}`,
+    send: (sink, record) => {
+      const body = JSON.stringify(record);
+      const headers = { ...sink.headers };
+      if (sink.secret) {
+        const hmac = crypto.createHmac("sha256", sink.secret).update(body);
+        headers["X-Otto-Signature"] = `sha256=${hmac.digest("hex")}`;
+      }
+      return postBody(sink.url, body, headers);
+    },
+  },
+
+  // Slack (or Mattermost, Discord's /slack endpoint) incoming webhook
+  slack: {
+    requires: ["url"],
+    describe: (sink) => `POST ${sink.url}`,
+    send: (sink, record) => {
+      const title = record.tag || record.version || `${record.type} release`;
+      const lines = [
+        `🚀 *${slackEscape(title)}* released by ${slackEscape(record.user)} on \`${slackEscape(record.branch)}\``,
+        record.message && `> ${slackEscape(record.message)}`,
+        record.commit && `Commit \`${record.commit.slice(0, 7)}\`${record.remote ? ` · ${slackEscape(record.remote)}` : ""}`,
+      ];
+      return postBody(sink.url, JSON.stringify({ text: lines.filter(Boolean).join("\n") }));
+    },
+  },
+};
+
+// Stable id for matching queued entries to configured sinks, without
+// writing URLs or secrets to the queue
+const sinkId = (sink) =>
+  `${sink.type}:${crypto
+    .createHash("sha256")
+    .update(sink.url || sink.path || RELEASES_FILE)
+    .digest("hex")
+    .slice(0, 12)}`;
+
+const sinkLabel = (sink) => {
+  if (!sink.url) return `${sink.type} (${sink.path || RELEASES_FILE})`;
+  try {
+    return `${sink.type} (${new URL(sink.url).host})`;
+  } catch {
+    return sink.type;
+  }
+};
+
+const readQueue = () => {
+  if (!fs.existsSync(QUEUE_FILE)) return [];
+  return fs
+    .readFileSync(QUEUE_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+};
+
+const writeQueue = (entries) => {
+  if (!entries.length) return fs.rmSync(QUEUE_FILE, { force: true });
+  ensureOttoDir();
+  fs.writeFileSync(QUEUE_FILE, entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+};
+
+// Delivers entries, queueing the ones that fail. Never throws.
+async function deliverLogs(entries) {
+  const failed = [];
+  let delivered = 0;
+  for (const entry of entries) {
+    const sink = cfg.logging.sinks.find((s) => sinkId(s) === entry.sink);
+    if (!sink) {
+      ui.note(`Dropped a queued ${entry.sink.split(":")[0]} log: sink no longer configured`, "⚠ Release log");
+      continue;
+    }
+    try {
+      await SINKS[sink.type].send(sink, entry.record);
+      delivered++;
+    } catch (e) {
+      const msg = e.name === "TimeoutError" ? "timed out" : e.message;
+      failed.push({ ...entry, attempts: entry.attempts + 1, error: msg });
+      ui.note(`${sinkLabel(sink)}: ${msg}. Queued for retry.`, "⚠ Release log");
+    }
+  }
+  return { delivered, failed };
+}
+
+// Retries what earlier runs couldn't deliver
+async function retryReleaseLogs() {
+  const queued = readQueue();
+  if (!queued.length || plan.active) return;
+  const { delivered, failed } = await deliverLogs(queued);
+  writeQueue(failed);
+  if (delivered) ui.log(pc.dim(`📮 Delivered ${delivered} queued release log(s)`));
+}
+
+async function logRelease(data) {
+  const record = {
+    user: git.user(),
+    ...data,
+    remote: git.remoteUrl(),
+    timestamp: new Date().toISOString(),
+  };
+
+  if (plan.active) {
+    for (const sink of cfg.logging.sinks)
+      plan.add(SINKS[sink.type].describe(sink), JSON.stringify(record, null, 2));
+    return { delivered: 0, queued: 0 };
+  }
+
+  const entries = cfg.logging.sinks.map((sink) => ({
+    sink: sinkId(sink),
+    record,
+    attempts: 0,
+    queuedAt: record.timestamp,
+  }));
+  const { delivered, failed } = await deliverLogs(entries);
+  if (failed.length) writeQueue([...readQueue(), ...failed]);
+  return { delivered, queued: failed.length };
+}
+
+// --- Pull Requests ---
+// Remotes are parsed into { kind, host, owner, repo, web, api }. Each host
+// knows its prefilled "new PR" page and how to create one through its API
+// with a token from the environment.
+
+// Remote URL → repository coordinates, or null for local paths
+function parseRemote(url) {
+  if (!url || /^[A-Za-z]:[\\/]/.test(url)) return null;
+  let host, port = "", scheme = "https", repoPath;
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    try {
+      const u = new URL(url);
+      // file:// remotes are local paths, just spelled differently
+      if (u.protocol === "file:") return null;
+      host = u.hostname;
+      // An ssh port says nothing about where the web UI lives
+      if (u.protocol.startsWith("http")) [scheme, port] = [u.protocol.slice(0, -1), u.port];
+      repoPath = u.pathname;
+    } catch {
+      return null;
+    }
+  } else {
+    const scp = url.match(/^(?:[^@/]+@)?([^:/]+):(.+)$/); // git@host:owner/repo
+    if (!scp) return null;
+    [, host, repoPath] = scp;
+  }
+  if (!host) return null;
+  const parts = decodeURIComponent(repoPath)
+    .replace(/\.git\/?$/, "")
+    .split("/")
+    .filter(Boolean);
+  const origin = `${scheme}://${host}${port ? `:${port}` : ""}`;
+
+  // dev.azure.com/org/project/_git/repo, ssh.dev.azure.com:v3/org/project/repo,
+  // org.visualstudio.com/project/_git/repo
+  const azure = /(^|\.)dev\.azure\.com$/.test(host) || /\.visualstudio\.com$/.test(host);
+  if (azure) {
+    const rest = parts.filter((p) => p !== "_git" && p !== "v3");
+    const org = host.endsWith(".visualstudio.com") ? host.split(".")[0] : rest.shift();
+    const [project, repo] = rest.slice(-2);
+    if (!org || !project || !repo) return null;
+    return {
+      kind: cfg.pr.host || "azure",
+      host: "dev.azure.com",
+      owner: `${org}/${project}`,
+      repo,
+      web: `https://dev.azure.com/${org}/${project}/_git/${repo}`,
+      api: cfg.pr.apiUrl || `https://dev.azure.com/${org}/${project}`,
+    };
+  }
+
+  if (parts.length < 2) return null;
+  const repo = parts.pop();
+  const owner = parts.join("/"); // GitLab subgroups: group/sub
+  const kind =
+    cfg.pr.host ||
+    (host === "github.com"
+      ? "github"
+      : host === "bitbucket.org"
+        ? "bitbucket"
+        : /(^|\.)gitlab\./.test(host)
+          ? "gitlab"
+          : null);
+  const api = {
+    github: host === "github.com" ? "https://api.github.com" : `${origin}/api/v3`,
+    gitlab: `${origin}/api/v4`,
+    bitbucket: "https://api.bitbucket.org/2.0",
+  }[kind];
+  return {
+    kind,
+    host,
+    owner,
+    repo,
+    web: `${origin}/${owner}/${repo}`,
+    api: cfg.pr.apiUrl || api || null,
+  };
+}
+
+// Branch names go into URL paths with their slashes intact
+const refPath = (ref) => encodeURIComponent(ref).replace(/%2F/g, "/");
+const query = (params) => new URLSearchParams(params).toString();
+
+// Prefilled pages get long; hosts reject URLs past ~8k characters
+const URL_BODY_MAX = 2000;
+const clip = (s) => (s.length > URL_BODY_MAX ? `${s.slice(0, URL_BODY_MAX)}\n…` : s);
+
+const PR_HOSTS = {
+  github: {
+    label: "GitHub",
+    tokens: ["GITHUB_TOKEN", "GH_TOKEN"],
+    compareUrl: (r, pr) =>
+      `${r.web}/compare/${refPath(pr.base)}...${refPath(pr.head)}?` +
+      query({ expand: 1, title: pr.title, body: clip(pr.body) }),
+    endpoint: (r) => `${r.api}/repos/${r.owner}/${r.repo}/pulls`,
+    create: async (r, pr, token) => {
+      const res = await postJson(
+        PR_HOSTS.github.endpoint(r),
+        { title: pr.title, body: pr.body, head: pr.head, base: pr.base, draft: pr.draft },
+        {
+          Authorization: `Bearer ${token}`,
+          Accept: "application/vnd.github+json",
+          "User-Agent": "otto-cli",
+        },
+        15000
+      );
+      return { url: res.html_url, number: res.number };
+    },
+  },
+
+  gitlab: {
+    label: "GitLab",
+    tokens: ["GITLAB_TOKEN"],
+    compareUrl: (r, pr) =>
+      `${r.web}/-/merge_requests/new?` +
+      query({
+        "merge_request[source_branch]": pr.head,
+        "merge_request[target_branch]": pr.base,
+        "merge_request[title]": pr.title,
+        "merge_request[description]": clip(pr.body),
+      }),
+    endpoint: (r) =>
+      `${r.api}/projects/${encodeURIComponent(`${r.owner}/${r.repo}`)}/merge_requests`,
+    create: async (r, pr, token) => {
+      const res = await postJson(
+        PR_HOSTS.gitlab.endpoint(r),
+        {
+          source_branch: pr.head,
+          target_branch: pr.base,
+          title: pr.draft ? `Draft: ${pr.title}` : pr.title,
+          description: pr.body,
+        },
+        { "PRIVATE-TOKEN": token },
+        15000
+      );
+      return { url: res.web_url, number: res.iid };
+    },
+  },
+
+  bitbucket: {
+    label: "Bitbucket",
+    tokens: ["BITBUCKET_TOKEN"],
+    // Bitbucket can't prefill the title or description
+    compareUrl: (r, pr) => `${r.web}/pull-requests/new?${query({ source: pr.head, dest: pr.base })}`,
+    endpoint: (r) => `${r.api}/repositories/${r.owner}/${r.repo}/pullrequests`,
+    create: async (r, pr, token) => {
+      const res = await postJson(
+        PR_HOSTS.bitbucket.endpoint(r),
+        {
+          title: pr.title,
+          description: pr.body,
+          draft: pr.draft,
+          source: { branch: { name: pr.head } },
+          destination: { branch: { name: pr.base } },
+        },
+        { Authorization: `Bearer ${token}` },
+        15000
+      );
+      return { url: res.links?.html?.href, number: res.id };
+    },
+  },
+
+  azure: {
+    label: "Azure DevOps",
+    tokens: ["AZURE_DEVOPS_TOKEN", "AZURE_DEVOPS_EXT_PAT"],
+    compareUrl: (r, pr) =>
+      `${r.web}/pullrequestcreate?${query({ sourceRef: pr.head, targetRef: pr.base })}`,
+    endpoint: (r) =>
+      `${r.api}/_apis/git/repositories/${encodeURIComponent(r.repo)}/pullrequests?api-version=7.1`,
+    create: async (r, pr, token) => {
+      const res = await postJson(
+        PR_HOSTS.azure.endpoint(r),
+        {
+          sourceRefName: `refs/heads/${pr.head}`,
+          targetRefName: `refs/heads/${pr.base}`,
+          title: pr.title,
+          description: pr.body,
+          isDraft: pr.draft,
+        },
+        { Authorization: `Basic ${Buffer.from(`:${token}`).toString("base64")}` },
+        15000
+      );
+      return { url: `${r.web}/pullrequest/${res.pullRequestId}`, number: res.pullRequestId };
+    },
+  },
+};
+
+// Unknown hosts (Gitea, Forgejo, …) mostly understand GitHub's compare URL
+const prHost = (remote) =>
+  PR_HOSTS[remote.kind] || { label: remote.host, tokens: [], compareUrl: PR_HOSTS.github.compareUrl };
+
+const prToken = (host) => host.tokens.map((k) => process.env[k]).find(Boolean) || null;
+
+const openCmd = (url) =>
+  process.platform === "darwin"
+    ? ["open", url]
+    : process.platform === "win32"
+      ? ["rundll32", "url.dll,FileProtocolHandler", url]
+      : ["xdg-open", url];
+
+const PR_PROMPT =
+  `Write a pull request for these commits. Return JSON with "title" (one line, ` +
+  `under 72 characters) and "body" (Markdown: a one-paragraph summary, then a ` +
+  `bullet list of the notable changes):\n`;
+
+// Title and body without AI: the commit subjects
+const draftPr = (commits, branch) => ({
+  title: commits.length === 1 ? commits[0].subject : branch,
+  body: commits
+    .slice()
+    .reverse()
+    .map((c) => `- ${c.subject}`)
+    .join("\n"),
+});
+
+async function generatePr(commits, stat) {
+  const ai = aiConfig();
+  const provider = providers[ai.provider];
+  if (!provider.ready()) throw new Error(`Missing ${provider.key}`);
+
+  const log = commits
+    .slice()
+    .reverse()
+    .map((c) => `- ${c.subject}${c.body ? `\n  ${c.body.replace(/\n/g, "\n  ")}` : ""}`)
+    .join("\n");
+  const input = `Commits, oldest first:\n${log}\n\nFiles changed:\n${stat}`;
+
+  const s = ui.spinner();
+  s.start(pc.magenta(`🤖 Writing the PR (${ai.provider}/${ai.model})`));
+  try {
+    const out = parseJson(
+      await provider.complete(PR_PROMPT + input.slice(0, ai.maxTokens * CHARS_PER_TOKEN), ai)
+    );
+    if (!out.title) throw new Error("The AI returned no PR title");
+    s.stop(pc.green("✔ PR drafted"));
+    return { title: String(out.title), body: String(out.body || "") };
+  } catch (e) {
+    s.stop(pc.red("✖ AI Failed"));
+    throw e;
+  }
+}
+
+// --- Conflict Resolution ---
+// Conflicted files are split into plain text and conflict hunks (ours, base,
+// theirs). The AI proposes a replacement for each hunk; nothing is written
+// without a yes, and nothing is ever committed.
+
+const MARKERS = { start: /^<{7}(?: |$)/, base: /^\|{7}(?: |$)/, sep: /^={7}$/, end: /^>{7}(?: |$)/ };
+
+// Line ending a resolved file is written back with
+const eolOf = (text) => (text.includes("\r\n") ? "\r\n" : "\n");
+
+// [{ lines } | { raw, ours, base, theirs }]; base is null without diff3 markers.
+// Lines come without their "\r", so CRLF files parse the same.
+function parseConflicts(text) {
+  const segments = [];
+  let plain = [];
+  let hunk = null;
+  let part = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!hunk) {
+      if (!MARKERS.start.test(line)) plain.push(line);
+      else {
+        segments.push({ lines: plain });
+        plain = [];
+        hunk = { raw: [line], ours: [], base: null, theirs: [] };
+        part = "ours";
+      }
+      continue;
+    }
+    hunk.raw.push(line);
+    if (part === "ours" && MARKERS.base.test(line)) [hunk.base, part] = [[], "base"];
+    else if (part !== "theirs" && MARKERS.sep.test(line)) part = "theirs";
+    else if (part === "theirs" && MARKERS.end.test(line)) {
+      segments.push(hunk);
+      hunk = null;
+    } else hunk[part].push(line);
+  }
+  // An unterminated conflict is left as text
+  segments.push({ lines: hunk ? [...plain, ...hunk.raw] : plain });
+  return segments;
+}
+
+const renderConflicts = (segments, eol = "\n") =>
+  segments.flatMap((s) => s.lines || s.resolution || s.raw).join(eol);
+
+// Hunks with their merge base, rebuilt from the index stages with diff3
+function diff3Hunks(file) {
+  const stage = (n) => run(["git", "show", `:${n}:${file}`]);
+  const [base, ours, theirs] = [1, 2, 3].map(stage);
+  if (ours.code !== 0 || theirs.code !== 0) return [];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "otto-merge-"));
+  try {
+    const paths = [["ours", ours], ["base", base], ["theirs", theirs]].map(([name, res]) => {
+      const p = path.join(dir, name);
+      fs.writeFileSync(p, res.code === 0 ? `${res.stdout}\n` : "");
+      return p;
+    });
+    const merged = run(["git", "merge-file", "-p", "--diff3", ...paths]).stdout;
+    return parseConflicts(merged).filter((s) => s.raw);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const RESOLVE_PROMPT =
+  `Resolve this merge conflict. "ours" and "theirs" are the two versions, "base" is ` +
+  `what both started from. Keep what each side meant to do where they don't clash. ` +
+  `Return JSON with "resolution" (the text that replaces the whole conflict, without ` +
+  `markers) and "reason" (one sentence):\n`;
+
+// Lines of surrounding text sent along with each conflict
+const CONFLICT_CONTEXT = 15;
+
+async function suggestResolution(file, hunk, before, after) {
+  const ai = aiConfig();
+  const provider = providers[ai.provider];
+  if (!provider.ready()) throw new Error(`Missing ${provider.key}`);
+
+  const input = [
+    `File: ${file}`,
+    "",
+    "Before the conflict:",
+    ...before,
+    "",
+    "<<<<<<< ours",
+    ...hunk.ours,
+    "||||||| base",
+    ...(hunk.base || ["(not available)"]),
+    "=======",
+    ...hunk.theirs,
+    ">>>>>>> theirs",
+    "",
+    "After the conflict:",
+    ...after,
+  ].join("\n");
+
+  const s = ui.spinner();
+  s.start(pc.magenta(`🤖 Resolving a conflict in ${file}`));
+  try {
+    const out = parseJson(await provider.complete(RESOLVE_PROMPT + input, ai));
+    if (typeof out.resolution !== "string") throw new Error("The AI returned no resolution");
+    s.stop(pc.green("✔ Suggestion ready"));
+    const text = out.resolution.replace(/^```[\w-]*\n([\s\S]*?)\n?```$/, "$1").replace(/\n$/, "");
+    return { lines: text ? text.split(/\r?\n/) : [], reason: String(out.reason || "") };
+  } catch (e) {
+    s.stop(pc.red("✖ AI Failed"));
+    throw e;
+  }
+}
+
+// Colored line diff of what replacing `from` with `to` changes
+function showDiff(from, to) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "otto-diff-"));
+  try {
+    const [a, b] = [from, to].map((lines, i) => {
+      const p = path.join(dir, String(i));
+      fs.writeFileSync(p, lines.length ? `${lines.join("\n")}\n` : "");
+      return p;
+    });
+    const out = run(["git", "diff", "--no-index", "--no-color", "-U2", a, b]).stdout;
+    return out
+      .split("\n")
+      .slice(out.split("\n").findIndex((l) => l.startsWith("@@")))
+      .map((l) =>
+        l.startsWith("+") ? pc.green(l) : l.startsWith("-") ? pc.red(l) : l.startsWith("@@") ? pc.dim(l) : l
+      )
+      .join("\n");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Opens `file` in git's editor and waits for it to close
+function openEditor(file) {
+  // Through the shell like git does, so `code --wait` and quoted paths work
+  const editor = sh(["git", "var", "GIT_EDITOR"], true) || "vi";
+  const arg = process.platform === "win32" ? `"${file}"` : `'${file.replace(/'/g, "'\\''")}'`;
+  spawnSync(`${editor} ${arg}`, { shell: true, stdio: "inherit" });
+}
+
+// Edits lines in a temporary file
+function editLines(lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "otto-edit-"));
+  const file = path.join(dir, "resolution");
+  try {
+    fs.writeFileSync(file, `${lines.join("\n")}\n`);
+    openEditor(file);
+    return fs.readFileSync(file, "utf8").replace(/\r?\n$/, "").split(/\r?\n/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Goes through a file's conflicts with the AI. Accepted resolutions are
+// written; the file is staged once none are left. `acceptAll` skips the prompts.
+// Returns { file, total, resolved, staged, stopped }.
+async function resolveFile(file, { acceptAll = false } = {}) {
+  const result = { file, total: 0, resolved: 0, staged: false, stopped: false };
+  const text = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+  if (text === null || text.includes("\0")) {
+    ui.note(
+      text === null ? "Deleted on one side: keep or remove it yourself." : "Binary file: pick a side yourself.",
+      `⏭ ${file}`
+    );
+    return result;
+  }
+
+  const segments = parseConflicts(text);
+  const hunks = segments.filter((s) => s.raw);
+  result.total = hunks.length;
+  if (!hunks.length) {
+    ui.note("No conflict markers left. Stage it with git add when it's right.", `⏭ ${file}`);
+    return result;
+  }
+  // Without diff3 markers in the file, take the bases from the index
+  if (hunks.some((h) => !h.base)) {
+    const withBase = diff3Hunks(file);
+    if (withBase.length === hunks.length)
+      hunks.forEach((h, i) => (h.base ??= withBase[i].base));
+  }
+
+  for (const [i, hunk] of hunks.entries()) {
+    const at = segments.indexOf(hunk);
+    let suggestion;
+    try {
+      suggestion = await suggestResolution(
+        file,
+        hunk,
+        segments[at - 1]?.lines?.slice(-CONFLICT_CONTEXT) || [],
+        segments[at + 1]?.lines?.slice(0, CONFLICT_CONTEXT) || []
+      );
+    } catch (e) {
+      if (ui.headless) throw fail("ai", e.message);
+      ui.note(e.message, "⚠ AI Failed");
+      continue;
+    }
+
+    const title = `🤖 ${file} · conflict ${i + 1}/${hunks.length}`;
+    ui.note(
+      [showDiff(hunk.raw, suggestion.lines), suggestion.reason && pc.dim(suggestion.reason)]
+        .filter(Boolean)
+        .join("\n\n"),
+      title
+    );
+    if (acceptAll) {
+      hunk.resolution = suggestion.lines;
+      continue;
+    }
+
+    const choice = await select({
+      message: "Use this resolution?",
+      options: [
+        { value: "accept", label: "✅ Accept" },
+        { value: "edit", label: "📝 Edit", hint: "in your editor" },
+        { value: "skip", label: "⏭  Skip", hint: "leave the conflict" },
+        { value: "stop", label: "✖ Stop" },
+      ],
+    });
+    if (isCancel(choice) || choice === "stop") {
+      result.stopped = true;
+      break;
+    }
+    if (choice === "accept") hunk.resolution = suggestion.lines;
+    if (choice === "edit") hunk.resolution = editLines(suggestion.lines);
+  }
+
+  result.resolved = hunks.filter((h) => h.resolution).length;
+  if (!result.resolved) return result;
+  const staged = result.resolved === hunks.length;
+  if (plan.active)
+    plan.add(`Write ${result.resolved} resolution(s) to ${file}`, staged ? `git add -- ${file}` : "");
+  else {
+    fs.writeFileSync(file, renderConflicts(segments, eolOf(text)));
+    if (staged) sh(["git", "add", "--", file]);
+  }
+  result.staged = staged;
+  return result;
+}
+
+// --- Release History ---
+// Releases rebuilt from version tags and version commits, enriched with the
+// local release log (file sinks) where it has a matching entry.
+
+const VERSION_TAG = /^(?:v|(.+)@)?(\d+\.\d+\.\d+(?:-[\w.-]+)?)$/;
+
+// What kind of bump led from one version to the next
+const bumpKind = (prev, next) => {
+  if (isPrerelease(next)) return "prerelease";
+  if (!prev) return "initial";
+  if (isPrerelease(prev) && prev.split("-")[0] === next) return "graduate";
+  const [a, b] = [prev, next].map((v) => v.split("-")[0].split(".").map(Number));
+  if (b[0] !== a[0]) return "major";
+  if (b[1] !== a[1]) return "minor";
+  return "patch";
+};
+
+const readJsonLines = (file) =>
+  fs.existsSync(file)
+    ? fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .flatMap((line) => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            return [];
+          }
+        })
+    : [];
+
+// "2026-10-01", "7d", "2 weeks ago", "yesterday"
+function parseSince(value) {
+  const text = String(value).trim().toLowerCase();
+  if (text === "yesterday") return new Date(Date.now() - 864e5);
+  const rel = /^(\d+)\s*(d|days?|w|weeks?|months?|y|years?)(\s+ago)?$/.exec(text);
+  if (rel) {
+    const days = { d: 1, w: 7, m: 30, y: 365 }[rel[2][0]];
+    return new Date(Date.now() - Number(rel[1]) * days * 864e5);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function releaseHistory() {
+  const FS = "%1f";
+  const refs = sh(
+    [
+      "git",
+      "for-each-ref",
+      "--sort=creatordate",
+      `--format=%(refname:short)${FS}%(creatordate:iso-strict)${FS}%(*objectname)${FS}%(objectname)${FS}%(taggername)${FS}%(authorname)`,
+      "refs/tags",
+    ],
+    true
+  );
+
+  // Every commit reachable from a tag or HEAD, for subjects and untagged
+  // version commits
+  const commits = new Map(
+    sh(["git", "log", "--format=%H%x1f%P%x1f%aI%x1f%an%x1f%s", "--tags", "HEAD"], true)
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [hash, parents, date, author, subject] = line.split("\x1f");
+        return [hash, { hash, parent: parents.split(" ")[0], date, author, subject }];
+      })
+  );
+
+  const releases = [];
+  const tagged = new Set();
+  for (const line of refs.split("\n").filter(Boolean)) {
+    const [tag, date, peeled, object, tagger, author] = line.split("\x1f");
+    const m = VERSION_TAG.exec(tag);
+    if (!m) continue;
+    const commit = peeled || object;
+    tagged.add(commit);
+    releases.push({ version: m[2], package: m[1] || null, tag, date, author: tagger || author, commit });
+  }
+  for (const c of commits.values()) {
+    const m = /^v?(\d+\.\d+\.\d+(?:-[\w.-]+)?)$/.exec(c.subject);
+    if (!m || tagged.has(c.hash)) continue;
+    releases.push({ version: m[1], package: null, tag: null, date: c.date, author: c.author, commit: c.hash });
+  }
+
+  const logged = cfg.logging.sinks
+    .filter((sink) => sink.type === "file")
+    .map((sink) => sink.path || RELEASES_FILE);
+  const records = [...new Set([RELEASES_FILE, ...logged])].flatMap(readJsonLines);
+
+  // Type per package, from the previous version of the same package
+  const byPackage = new Map();
+  for (const r of releases) {
+    const list = byPackage.get(r.package) || [];
+    byPackage.set(r.package, [...list, r]);
+  }
+  for (const list of byPackage.values()) {
+    list.sort((a, b) => compareVersions(a.version, b.version));
+    list.forEach((r, i) => (r.type = bumpKind(list[i - 1]?.version, r.version)));
+  }
+
+  return releases
+    .map((r) => {
+      // The latest entry wins if a release was logged more than once
+      const record = records.findLast(
+        (rec) =>
+          (r.tag && (rec.tag === r.tag || rec.packages?.some((p) => p.tag === r.tag))) ||
+          (r.commit && rec.commit === r.commit)
+      );
+      // Without a log entry, the commit the version commit was made on top of
+      const c = commits.get(r.commit);
+      const shipped = c && isVersionCommit(c) ? commits.get(c.parent) : c;
+      const fallback = shipped && !isVersionCommit(shipped) ? shipped.subject : "";
+      return {
+        version: r.version,
+        package: r.package,
+        tag: r.tag,
+        date: record?.timestamp || r.date,
+        author: record?.user || r.author,
+        type: r.type,
+        commit: r.commit,
+        message: record?.message || fallback,
+        description: record?.description || "",
+      };
+    })
+    .sort(
+      (a, b) => new Date(b.date) - new Date(a.date) || compareVersions(b.version, a.version)
+    );
+}
+
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((r) => columns.map((c) => r[c] ?? ""))]
+    .map((row) =>
+      row
+        .map((v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v))
+        .join(",")
+    )
+    .join("\n") + "\n";
+
+async function generateCommit(diff, stat = git.diff()) {
+  return (await generateSuggestions(diff, stat))[0];
+}
+
+// `count` distinct commit messages for the diff. The diff is summarized
+// once; each extra suggestion is asked to differ from the ones in `avoid`
+// and those before it.
+async function generateSuggestions(diff, stat = git.diff(), count = 1, avoid = []) {
+  const ai = aiConfig();
+  const provider = providers[ai.provider];
+  if (!provider.ready()) throw fail("ai", `Missing ${provider.key}`);
+
+  const { files, skipped } = prepareDiff(diff, ai.maxFileTokens);
+  const chunks = chunkFiles(files, ai.maxTokens * CHARS_PER_TOKEN);
+
+  const s = ui.spinner();
+  s.start(pc.magenta(`🤖 AI Analyzing changes (${ai.provider}/${ai.model})`));
+
+  try {
+    // Too big for one request: summarize each chunk, then combine
+    let body = chunks[0]?.join("") || "";
+    if (chunks.length > 1) {
+      const summaries = [];
+      for (const [i, chunk] of chunks.entries()) {
+        s.message(pc.magenta(`🤖 Summarizing part ${i + 1}/${chunks.length}`));
+        const out = parseJson(
+          await provider.complete(SUMMARY_PROMPT + chunk.join(""), ai)
+        );
+        summaries.push(`- ${out.summary || "(no summary)"}`);
+      }
+      s.message(pc.magenta("🤖 Combining summaries"));
+      body = `Summaries of the diff, one per group of files:\n${summaries.join("\n")}`;
+    }
+
+    // The stat always goes in so the model knows every touched file
+    const input =
+      `Files changed:\n${stat}\n` +
+      (skipped.length
+        ? `Not shown (lockfiles, generated or binary): ${skipped.join(", ")}\n`
+        : "") +
+      `\n${body}`;
+    const prompt = cfg.commitPrompt.includes("{diff}")
+      ? cfg.commitPrompt.replace("{diff}", () => input)
+      : `${cfg.commitPrompt}\n${input}`;
+    const scope = inferScope(diffFiles(diff));
+    const suggestions = [];
+    const seen = new Set(avoid);
+    for (let i = 0; i < count; i++) {
+      if (count > 1) s.message(pc.magenta(`🤖 Writing suggestion ${i + 1}/${count}`));
+      const taken = [...seen];
+      const out = parseJson(
+        await provider.complete(
+          taken.length
+            ? `${prompt}\n\nAlready suggested, write a different one:\n${taken.map((m) => `- ${m}`).join("\n")}`
+            : prompt,
+          ai
+        )
+      );
+      if (cfg.commits.lint && out.msg) out.msg = fixCommit(out.msg, scope);
+      if (seen.has(out.msg)) continue;
+      seen.add(out.msg);
+      suggestions.push(out);
+    }
+
+    s.stop(pc.green("✔ AI Analysis Complete"));
+    return suggestions;
+  } catch (e) {
+    s.stop(pc.red("✖ AI Failed"));
+    throw e;
+  }
+}
+
+// --- Release Transaction ---
+// Before a release changes anything it writes a checkpoint to
+// .otto/release.json, then records every commit, tag and file it makes.
+// A failed stage rolls back to exactly that checkpoint. After a failed push
+// the checkpoint is kept, so `release --resume` can carry on from there.
+const RELEASE_STATE = path.join(OTTO_DIR, "release.json");
+const STAGES = ["started", "pipeline", "commit", "version", "push", "log", "publish"];
+
+const txn = {
+  state: null,
+
+  load: () => {
+    try {
+      txn.state = JSON.parse(fs.readFileSync(RELEASE_STATE, "utf8"));
+    } catch {
+      txn.state = null;
+    }
+    return txn.state;
+  },
+
+  save: () => {
+    if (!txn.state) return;
+    ensureOttoDir();
+    fs.writeFileSync(RELEASE_STATE, JSON.stringify(txn.state, null, 2) + "\n");
+  },
+
+  begin: () => {
+    if (plan.active) return;
+    txn.state = {
+      startedAt: new Date().toISOString(),
+      branch: git.branch(),
+      head: git.resolve("HEAD"),
+      index: sh(["git", "write-tree"]),
+      stage: "started",
+      commits: [],
+      tags: [],
+      files: {},
+    };
+    txn.save();
+  },
+
+  // Marks a stage as finished, with whatever a resume needs after it
+  done: (stage, data = {}) => {
+    if (!txn.state) return;
+    Object.assign(txn.state, data, { stage });
+    txn.save();
+  },
+
+  reached: (stage) =>
+    !!txn.state && STAGES.indexOf(txn.state.stage) >= STAGES.indexOf(stage),
+
+  // Snapshots files (as git blobs) before the release first writes them;
+  // files that don't exist yet are recorded as null and removed on rollback
+  touch: (files) => {
+    if (!txn.state) return;
+    for (const file of files)
+      if (!(file in txn.state.files))
+        txn.state.files[file] = fs.existsSync(file)
+          ? sh(["git", "hash-object", "-w", "--", file])
+          : null;
+    txn.save();
+  },
+
+  commit: () => {
+    if (!txn.state) return;
+    txn.state.commits.push(git.resolve("HEAD"));
+    txn.save();
+  },
+
+  tag: (name) => {
+    if (!txn.state) return;
+    txn.state.tags.push(name);
+    txn.save();
+  },
+
+  // Deletes created tags, resets created commits, restores the index and
+  // snapshotted files. Refuses if HEAD has moved on since.
+  rollback: () => {
+    const st = txn.state;
+    if (!st) return [];
+    const expected = st.commits.at(-1) || st.head;
+    if (git.branch() !== st.branch || git.resolve("HEAD") !== expected)
+      throw new Error(
+        `HEAD is no longer at the release's last commit (${String(expected).slice(0, 7)} on ${st.branch}).`
+      );
+
+    const undone = [];
+    for (const tag of st.tags)
+      if (run(["git", "tag", "-d", tag]).code === 0) undone.push(`tag ${tag}`);
+    if (st.commits.length) {
+      sh(["git", "reset", "--soft", st.head]);
+      undone.push(`${st.commits.length} commit(s)`);
+    }
+    sh(["git", "read-tree", st.index]);
+    const changed = Object.entries(st.files).filter(([file, blob]) =>
+      blob
+        ? !fs.existsSync(file) || sh(["git", "hash-object", "--", file]) !== blob
+        : fs.existsSync(file)
+    );
+    for (const [file, blob] of changed) {
+      if (blob) fs.writeFileSync(file, spawnSync("git", ["cat-file", "blob", blob]).stdout);
+      else fs.rmSync(file);
+    }
+    if (changed.length) undone.push(`changes to ${changed.map(([file]) => file).join(", ")}`);
+    txn.end();
+    return undone;
+  },
+
+  end: () => {
+    txn.state = null;
+    fs.rmSync(RELEASE_STATE, { force: true });
+  },
+};
+
+// Rolls back after a failed stage and says what was undone
+function rollbackRelease() {
+  if (!txn.state) return;
+  try {
+    const undone = txn.rollback();
+    ui.note(undone.length ? `Undid ${undone.join(", ")}.` : "Nothing to undo.", "✅ Rollback");
+  } catch (e) {
+    ui.note(`${e.message}\nThe checkpoint is kept in ${RELEASE_STATE}.`, "⚠ Rollback failed");
+  }
+}
+
+// --- Git Hooks ---
+// `otto hooks install` writes small sh scripts that call back into Otto. A
+// hook that was already there is kept as <hook>.otto-chained and runs first.
+const HOOK_MARK = "# otto-cli hook";
+const HOOKS = {
+  "prepare-commit-msg": "fills in an AI message when git's is empty",
+  "commit-msg": "rejects messages that aren't conventional commits",
+};
+
+// core.hooksPath when set, else .git/hooks
+const hooksDir = () => path.resolve(sh(["git", "rev-parse", "--git-path", "hooks"], true));
+
+const isOttoHook = (file) =>
+  fs.existsSync(file) && fs.readFileSync(file, "utf8").includes(HOOK_MARK);
+
+// Prefers otto-cli on PATH, else the Otto that installed the hook
+const hookScript = (name) =>
+  [
+    "#!/bin/sh",
+    `${HOOK_MARK}, remove with: otto-cli hooks uninstall`,
+    `if [ -x "$0.otto-chained" ]; then "$0.otto-chained" "$@" || exit $?; fi`,
+    `if command -v otto-cli >/dev/null 2>&1; then exec otto-cli hooks run ${name} "$@"; fi`,
+    `exec ${formatCmd([process.execPath, fs.realpathSync(process.argv[1])])} hooks run ${name} "$@"`,
+    "",
+  ].join("\n");
+
+// The message as git will keep it: no comment lines, nothing below the scissors
+const commitText = (raw) => {
+  const char = sh(["git", "config", "core.commentChar"], true);
+  const comment = char && char !== "auto" ? char : "#";
+  return raw
+    .split(/^.* -+ >8 -+$/m)[0]
+    .split("\n")
+    .filter((line) => !line.startsWith(comment))
+    .join("\n")
+    .trim();
+};
+
+// Hook entry point; resolves to the exit code for git. Only a message that
+// fails lint blocks a commit, never a bad config or a failing AI.
+async function runHook(name, [file, source] = []) {
+  ui.headless = true;
+  try {
+    await loadConfig();
+  } catch (e) {
+    console.error(pc.yellow(`otto: hook skipped (${e.message})`));
+    return 0;
+  }
+  const raw = fs.readFileSync(file, "utf8");
+
+  if (name === "commit-msg") {
+    const message = commitText(raw);
+    // An empty message makes git abort on its own
+    if (!message || !cfg.commits.lint || GIT_MESSAGES.test(message)) return 0;
+    const problems = lintCommit(message);
+    if (!problems.length) return 0;
+    console.error(
+      `${pc.red("✖ Commit lint:")}\n${problems.map((p) => `  - ${p}`).join("\n")}\n` +
+        pc.dim("Fix the message, or skip this check with git commit --no-verify.")
+    );
+    return 1;
+  }
+
+  if (name !== "prepare-commit-msg") return 0;
+  // Only a plain `git commit` whose message is still empty
+  if ((source && source !== "template") || commitText(raw)) return 0;
+  const diff = git.rawDiff();
+  if (!diff) return 0;
+
+  try {
+    const provider = providers[aiConfig().provider];
+    if (!provider.ready()) return 0;
+    const ai = await generateCommit(diff, git.diff());
+    if (!ai?.msg) return 0;
+    const issue = issueFromBranch(git.branch());
+    const body = wrap(String(ai.desc || "").trim(), 72);
+    const footer = issue && !`${ai.msg}\n${body}`.includes(issue) ? `Refs: ${issue}` : "";
+    const message = [String(ai.msg).trim(), body, footer].filter(Boolean).join("\n\n");
+    fs.writeFileSync(file, `${message}\n${raw.startsWith("\n") ? "" : "\n"}${raw}`);
+  } catch (e) {
+    console.error(pc.yellow(`otto: no AI message (${e.message})`));
+  }
+  return 0;
+}
+
+// --- Flows ---
+
+async function checkForUpdates() {
+  if (!git.isRepo()) return;
+
+  try {
+    sh(["git", "fetch"], true);
+  } catch {
+    return;
+  }
+
+  let behind = 0;
+  const current = git.branch();
+  const defaultBr = git.defaultBranch();
+
+  // Smart check: If on main, check against origin/main regardless of upstream config
+  if (
+    defaultBr &&
+    (current === "main" ||
+      current === "master" ||
+      current === git.defaultBranchName())
+  ) {
+    behind = parseInt(git.commitsBehind(defaultBr)) || 0;
+  } else {
+    behind = git.upstreamBehindCount();
+  }
+
+  if (behind > 0) {
+    const shouldPull = await confirm({
+      message: `Your branch is behind by ${behind} commits. Pull them?`,
+    });
+
+    if (isCancel(shouldPull)) process.exit(0);
+
+    if (shouldPull) {
+      const s = spinner();
+      s.start(pc.blue("🔄 Pulling latest changes..."));
+      try {
+        mutate(["git", "pull", cfg.remote, current]);
+        s.stop(pc.green("✔ Updated"));
+        ui.banner();
+      } catch (e) {
+        s.stop(pc.red("✖ Pull Failed"));
+        note(e.message);
+      }
+    }
+  }
+}
+
+// Undo safety net: every reset first saves a backup ref at HEAD and, when there is
+// uncommitted work, a stash entry made with `stash create` + `stash store`,
+// which leaves the working tree untouched.
+const BACKUP_REFS = "refs/otto/backups";
+const MAX_BACKUPS = 20;
+
+const ago = (date) => {
+  const secs = Math.round((Date.now() - date) / 1000);
+  const units = [["year", 31536000], ["month", 2592000], ["day", 86400], ["hour", 3600], ["minute", 60]];
+  for (const [unit, size] of units)
+    if (secs >= size) {
+      const n = Math.floor(secs / size);
+      return `${n} ${unit}${n > 1 ? "s" : ""} ago`;
+    }
+  return "just now";
+};
+
+// Newest first. Ids are UTC timestamps: 20261019-150413
+function listBackups() {
+  return sh(
+    ["git", "for-each-ref", "--format=%(refname)%1f%(objectname:short)%1f%(subject)", BACKUP_REFS],
+    true
+  )
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [ref, short, subject] = line.split("\x1f");
+      const parts = ref.slice(BACKUP_REFS.length + 1).split("/");
+      const id = parts.pop();
+      const m = /^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/.exec(id);
+      const date = m ? new Date(Date.UTC(m[1], m[2] - 1, m[3], m[4], m[5], m[6])) : null;
+      return { ref, id, branch: parts.join("/"), short, subject, date };
+    })
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+function backupHead(reason) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  const taken = new Set(listBackups().map((b) => b.id));
+  let id = stamp;
+  for (let n = 2; taken.has(id); n++) id = `${stamp}-${n}`;
+  const ref = `${BACKUP_REFS}/${git.branch()}/${id}`;
+  mutate(["git", "update-ref", "-m", reason, ref, "HEAD"]);
+
+  const snapshot = sh(["git", "stash", "create"], true);
+  if (snapshot) mutate(["git", "stash", "store", "-m", `otto backup ${id}: ${reason}`, snapshot]);
+
+  for (const old of listBackups().slice(MAX_BACKUPS))
+    mutate(["git", "update-ref", "-d", old.ref]);
+  return { ref, id, stashed: !!snapshot };
+}
+
+// How many commits a reset to `target` would drop that the upstream has
+function pushedCommits(target) {
+  const branch = git.branch();
+  const upstream =
+    sh(["git", "rev-parse", "--abbrev-ref", "--symbolic-full-name", "@{u}"], true) ||
+    (git.resolve(`${cfg.remote}/${branch}`) ? `${cfg.remote}/${branch}` : null);
+  if (!upstream) return { upstream: null, count: 0 };
+  const base = sh(["git", "merge-base", "HEAD", upstream], true);
+  const count = base
+    ? Number(sh(["git", "rev-list", "--count", `${target}..${base}`], true) || 0)
+    : 0;
+  return { upstream, count };
+}
+
+// Otto backups and recent reflog entries to restore from
+async function pickRecovery() {
+  const backups = listBackups();
+  const reflog = sh(
+    ["git", "reflog", "-n", "15", "--date=relative", "--format=%h%x1f%gs%x1f%gd"],
+    true
+  )
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, action, selector] = line.split("\x1f");
+      return {
+        hash,
+        action: action.replace(/\b[0-9a-f]{40}\b/g, (h) => h.slice(0, 7)),
+        when: selector.replace(/^.*@\{(.*)\}$/, "$1"),
+      };
+    });
+
+  if (!backups.length && !reflog.length) {
+    ui.note("No backups or reflog entries found.", "ℹ Empty");
+    return null;
+  }
+
+  const choice = await select({
+    message: "Restore to which point?",
+    options: [
+      ...backups.map((b) => ({
+        value: b.ref,
+        label: `💾 ${pc.cyan(b.short)} ${b.subject}`,
+        hint: `backup on ${b.branch}${b.date ? `, ${ago(b.date)}` : ""}`,
+      })),
+      ...reflog.map((r) => ({
+        value: r.hash,
+        label: `↩️  ${pc.cyan(r.hash)} ${r.action}`,
+        hint: r.when,
+      })),
+    ],
+  });
+  return isCancel(choice) ? null : choice;
+}
+
+async function flowUndo(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+
+  if (ui.headless && !opts.to)
+    return ui.fail("usage", "--to <commit> is required in non-interactive mode");
+
+  let targetHash = opts.to;
+  if (!targetHash && opts.recover) {
+    targetHash = await pickRecovery();
+    if (!targetHash) return;
+  }
+
+  if (!targetHash) {
+    const s = ui.spinner();
+    s.start(pc.dim("Fetching history"));
+    const history = git.log(15);
+    s.stop(pc.dim("History loaded"));
+
+    if (!history.length) {
+      ui.note("No commit history found to undo.", "ℹ Empty");
+      return { ok: true, changed: false };
+    }
+
+    targetHash = await select({
+      message: "Reset branch to which commit?",
+      options: [
+        ...history.map((c, i) => {
+          const label = i === 0 ? `${c.msg} (Current)` : c.msg;
+          return {
+            value: c.hash,
+            label: `${pc.cyan(c.hash)} ${label}`,
+            hint: `${c.author}, ${c.time}`,
+          };
+        }),
+        { value: "recover", label: "🛟 Recover…", hint: "Undo an undo: backups & reflog" },
+      ],
+    });
+
+    if (isCancel(targetHash)) return;
+    if (targetHash === "recover") {
+      targetHash = await pickRecovery();
+      if (!targetHash) return;
+    }
+  }
+
+  const target = git.resolve(targetHash);
+  if (!target) return ui.fail("undo", `Unknown commit: ${targetHash}`);
+  const short = target.slice(0, 7);
+
+  if (target === git.resolve("HEAD")) {
+    ui.note("You selected the current commit. No changes made.", "ℹ Info");
+    return { ok: true, changed: false, commit: target };
+  }
+
+  const pushed = pushedCommits(target);
+  if (pushed.count) {
+    const warning =
+      `${pushed.count} commit(s) this drops are already on ${pushed.upstream}. ` +
+      "Getting rid of them there too means a force push, which rewrites shared history.";
+    if (ui.headless && !opts.force)
+      return ui.fail("usage", `${warning} Pass --force to reset anyway.`);
+    if (!ui.headless && !plan.active) {
+      ui.note(warning, "⚠ Already pushed");
+      const go = await confirm({ message: "Reset anyway?", initialValue: false });
+      if (!go || isCancel(go)) return;
+    }
+  }
+
+  let resetMode = opts.mode ? `--${opts.mode}` : ui.headless ? "--mixed" : null;
+  if (!resetMode) {
+    resetMode = await select({
+      message: "How should we reset?",
+      options: [
+        { value: "--soft", label: "🧸 Soft Reset", hint: "Keep changes staged" },
+        {
+          value: "--mixed",
+          label: "🚧 Mixed Reset",
+          hint: "Keep changes in working dir",
+        },
+        { value: "--hard", label: "🧨 Hard Reset", hint: "Discard changes (backed up)" },
+      ],
+    });
+
+    if (isCancel(resetMode)) return;
+  }
+
+  if (resetMode === "--hard" && !opts.yes && !plan.active) {
+    if (ui.headless)
+      return ui.fail("usage", "--mode hard requires --yes in non-interactive mode");
+    const safe = await confirm({
+      message: pc.red("⚠️  This will remove all uncommitted changes (a backup is kept). Sure?"),
+    });
+    if (!safe || isCancel(safe)) return;
+  }
+
+  const r = ui.spinner();
+  r.start(pc.yellow(`Resetting to ${short}...`));
+
+  let backup;
+  try {
+    backup = backupHead(`before undo to ${short}`);
+    mutate(["git", "reset", resetMode, target]);
+    r.stop(pc.green(`✔ Reset complete (${resetMode})`));
+    ui.note(
+      `HEAD is now at ${short}\n` +
+        `Backup: ${backup.ref}${backup.stashed ? " (+ uncommitted changes in the stash)" : ""}\n` +
+        `Undo this with 🛟 Recover or \`otto undo --to ${backup.ref}\`.`,
+      "ℹ Reset Info"
+    );
+  } catch (e) {
+    r.stop(pc.red("✖ Reset failed"));
+    if (ui.headless) throw fail("undo", e.message);
+    console.error(e.message);
+    return;
+  }
+
+  // Restoring an Otto backup: offer the uncommitted work saved with it
+  const from = listBackups().find((b) => b.ref === targetHash);
+  const saved = from && git.stashList().find((st) => st.msg.includes(`otto backup ${from.id}:`));
+  if (saved && !ui.headless && !plan.active) {
+    const apply = await confirm({
+      message: "Also restore the uncommitted changes saved with this backup?",
+    });
+    if (apply && !isCancel(apply)) {
+      const res = run(["git", "stash", "apply", saved.ref]);
+      if (res.code === 0) ui.log(pc.green(`✔ Applied ${saved.ref}`));
+      else
+        ui.note(
+          `${res.stderr || "Could not apply the stash."}\nRun 'otto resolve' for AI suggestions.`,
+          "⚠ Conflict Alert"
+        );
+    }
+  }
+
+  return {
+    ok: true,
+    changed: true,
+    commit: target,
+    mode: resetMode.slice(2),
+    backup: backup.ref,
+    stashed: backup.stashed,
+  };
+}
+
+const STASH_ACTIONS = {
+  save: { label: "💾 Save", hint: "Stash all or selected changes" },
+  pop: { label: "🥡 Pop", hint: "Apply & remove a stash" },
+  apply: { label: "📥 Apply", hint: "Apply, keep the stash" },
+  show: { label: "👀 Preview", hint: "Files & diff of a stash" },
+  rename: { label: "✏️  Rename", hint: "Change a stash's message" },
+  branch: { label: "🌿 Branch", hint: "New branch from a stash" },
+  drop: { label: "🗑️  Drop", hint: "Delete one stash" },
+  clear: { label: "🧹 Clear", hint: "Delete all stashes" },
+};
+
+// Stash ref from a flag value ("2" means stash@{2}); latest when headless,
+// otherwise asks. Returns null when cancelled or unknown.
+async function pickStash(value, stashes, message) {
+  let ref = typeof value === "string" ? value : null;
+  if (ref && /^\d+$/.test(ref)) ref = `stash@{${ref}}`;
+  if (ref) {
+    if (stashes.some((st) => st.ref === ref)) return ref;
+    ui.fail("stash", `Unknown stash: ${ref}`);
+    return null;
+  }
+  if (ui.headless) return stashes[0].ref;
+
+  const picked = await select({
+    message,
+    options: stashes.map((st) => ({
+      value: st.ref,
+      label: st.msg,
+      hint: [st.ref, st.branch, st.age].filter(Boolean).join(" · "),
+    })),
+  });
+  return isCancel(picked) ? null : picked;
+}
+
+// Working-tree changes from porcelain status, for picking what to stash.
+// With -z paths come as they are, neither quoted nor escaped.
+const changedFiles = () => {
+  const fields = sh(["git", "status", "--porcelain", "-z", "--untracked-files=all"], true).split("\0");
+  const files = [];
+  for (let i = 0; i < fields.length; i++) {
+    if (!fields[i]) continue;
+    const code = fields[i].slice(0, 2);
+    files.push({ code, path: fields[i].slice(3) });
+    // Renames and copies are followed by the old path; the new one is on disk
+    if (/[RC]/.test(code)) i++;
+  }
+  return files;
+};
+
+// Gitignore-style: "*" stays within a path segment, "**" spans segments,
+// a pattern without a slash matches at any depth, and a directory matches
+// everything below it
+const globToRegex = (glob) => {
+  const clean = glob.replace(/^\.?\//, "").replace(/\/$/, "");
+  const body = clean
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*\//g, "\u0000")
+    .replace(/\*\*/g, "\u0001")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, "(?:.*/)?")
+    .replace(/\u0001/g, ".*");
+  return new RegExp(`^${clean.includes("/") ? "" : "(?:.*/)?"}${body}(?:/.*)?$`);
+};
+
+const SUSPICIOUS = [
+  [/(^|\/)\.env(\.(?!example$|sample$|template$)[^/]+)?$/, "environment file, may hold secrets"],
+  [/(^|\/)id_(rsa|dsa|ecdsa|ed25519)$|\.(pem|key|p12|pfx|jks|keystore)$/, "private key or certificate"],
+  [/(^|\/)\.(npmrc|pypirc|netrc)$/, "may hold credentials"],
+  [/\.(log|tmp|swp|orig|rej)$|(^|\/)(\.DS_Store|Thumbs\.db)$/, "log or temporary file"],
+  [/\.(sqlite3?|db|dump)$/, "database file"],
+];
+
+// Why a file shouldn't be committed without a second look, or null
+function suspicion(file) {
+  for (const [re, why] of SUSPICIOUS) if (re.test(file)) return why;
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return null; // deleted
+  }
+  if (!stat.isFile()) return null;
+  if (stat.size > cfg.staging.maxFileSizeKb * 1024)
+    return `large file (${(stat.size / 1024 / 1024).toFixed(1)} MB)`;
+  const fd = fs.openSync(file, "r");
+  const head = Buffer.alloc(Math.min(stat.size, 8000));
+  fs.readSync(fd, head, 0, head.length, 0);
+  fs.closeSync(fd);
+  return head.includes(0) ? "binary file" : null;
+}
+
+const STATUS_HINTS = { "?": "new", M: "modified", A: "added", D: "deleted", R: "renamed", C: "copied", U: "conflict" };
+
+// The release's staging step. Asks which changed files to commit: what is
+// already staged is pre-checked (everything unsuspicious when nothing is),
+// `staging.ignore` matches are left out, and suspicious picks need a confirm.
+// Returns { add, reset } path lists, or null when cancelled.
+async function chooseFiles() {
+  const ignore = cfg.staging.ignore.map(globToRegex);
+  const files = changedFiles();
+  const isStaged = (f) => ![" ", "?"].includes(f.code[0]);
+  const ignored = files.filter((f) => ignore.some((re) => re.test(f.path)));
+  const candidates = files.filter((f) => !ignored.includes(f));
+  const unstageIgnored = ignored.filter(isStaged).map((f) => f.path);
+
+  if (ignored.length)
+    ui.note(ignored.map((f) => f.path).join("\n"), "🙈 Left out (staging.ignore)");
+  if (!candidates.length) return { add: [], reset: unstageIgnored };
+
+  if (ui.headless) {
+    const flagged = candidates.filter((f) => suspicion(f.path));
+    if (flagged.length)
+      ui.note(
+        flagged.map((f) => `${f.path} (${suspicion(f.path)})`).join("\n"),
+        "⚠ Committing suspicious files"
+      );
+    const add = ignored.length ? candidates.map((f) => f.path) : ["."];
+    return { add, reset: unstageIgnored };
+  }
+
+  const staged = candidates.filter(isStaged);
+  let initial = (staged.length ? staged : candidates.filter((f) => !suspicion(f.path))).map(
+    (f) => f.path
+  );
+
+  for (;;) {
+    const picked = await multiselect({
+      message: "Files to commit",
+      options: candidates.map((f) => {
+        const why = suspicion(f.path);
+        const state = STATUS_HINTS[(f.code.trim() || "M")[0]] || f.code.trim();
+        return {
+          value: f.path,
+          label: why ? pc.yellow(f.path) : f.path,
+          hint: [isStaged(f) ? `${state}, staged` : state, why && `⚠ ${why}`]
+            .filter(Boolean)
+            .join(" · "),
+        };
+      }),
+      initialValues: initial,
+      required: false,
+    });
+    if (isCancel(picked)) return null;
+
+    const flagged = picked.filter((p) => suspicion(p));
+    if (flagged.length) {
+      ui.note(
+        flagged.map((p) => `${p}  ${pc.dim(suspicion(p))}`).join("\n"),
+        "⚠ Suspicious files"
+      );
+      const go = await select({
+        message: "Commit them anyway?",
+        options: [
+          { value: "back", label: "↩️  Back to the file list" },
+          { value: "yes", label: "✅ Commit anyway" },
+        ],
+      });
+      if (isCancel(go)) return null;
+      if (go === "back") {
+        initial = picked.filter((p) => !suspicion(p));
+        continue;
+      }
+    }
+
+    const reset = [
+      ...unstageIgnored,
+      ...staged.filter((f) => !picked.includes(f.path)).map((f) => f.path),
+    ];
+    return { add: picked, reset };
+  }
+}
+
+// Issue reference in a branch name: feat/ABC-123-login → ABC-123,
+// fix/42-crash and fix/#42 → #42. A number that starts a date, like in
+// release/2024-q1 or release/2024-01-15, is not an issue.
+const issueFromBranch = (branch) => {
+  const key = /(?:^|[/_-])([A-Z][A-Z0-9]+-\d+)(?=$|[/_-])/.exec(branch);
+  if (key) return key[1];
+  const num =
+    /(?:^|\/)#(\d+)(?=$|[/_-])/.exec(branch) ||
+    /(?:^|\/)(?:issue-|gh-)?(\d+)(?=$|[-_])(?![-_](?:\d{1,2}|[qh]\d|w\d{1,2})(?:$|[/_-]))/.exec(branch);
+  return num ? `#${num[1]}` : null;
+};
+
+// git's empty tree, to diff a root commit against
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+async function flowCommit(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+  const amend = !!opts.amend;
+  const head = git.resolve("HEAD");
+  if (amend && !head) return ui.fail("usage", "Nothing to amend: there are no commits yet.");
+
+  const parent = amend && git.resolve("HEAD^");
+  const pushed = amend && parent ? pushedCommits(parent) : { count: 0 };
+  if (pushed.count) {
+    const warning = `The commit being amended is already on ${pushed.upstream}. Pushing the amended one will need a force push.`;
+    if (ui.headless && !opts.force)
+      return ui.fail("usage", `${warning} Pass --force to amend anyway.`);
+    if (!ui.headless && !plan.active) {
+      ui.note(warning, "⚠ Already pushed");
+      const go = await confirm({ message: "Amend anyway?", initialValue: false });
+      if (!go || isCancel(go)) return;
+    }
+  }
+
+  // --all, or nothing staged in an interactive run: pick files like a release does
+  let staging = null;
+  if (opts.all || (!amend && !ui.headless && !git.rawDiff())) {
+    staging = await chooseFiles();
+    if (!staging) return;
+    if (staging.reset.length) mutate(["git", "reset", "-q", "--", ...staging.reset]);
+    if (staging.add.length)
+      mutate(["git", "add", "-A", "--", ...staging.add], { detail: git.status(staging.add) });
+  }
+
+  // An amend rewrites the whole commit, so describe it against its parent
+  const base = amend ? [parent || EMPTY_TREE] : [];
+  const diffOf = (args) =>
+    plan.active && staging
+      ? git.pendingDiff([...base, ...args], staging)
+      : sh(["git", "diff", "--cached", ...base, ...args], true);
+  const diff = diffOf([]);
+  const stat = diffOf(["--stat"]);
+  if (!diff && !amend)
+    return ui.fail("commit", "Nothing staged to commit. Stage files first or pass --all.");
+
+  const issue =
+    opts.issue === false
+      ? null
+      : typeof opts.issue === "string"
+        ? opts.issue
+        : issueFromBranch(git.branch());
+  const count = Math.max(1, parseInt(opts.suggestions) || 1);
+  const keep = amend && !opts.message && opts.ai === false;
+  let pick = opts.message || keep ? { msg: opts.message || "", desc: "" } : null;
+
+  if (!pick && opts.ai === false) {
+    if (ui.headless) return ui.fail("usage", "--message is required when using --no-ai");
+    pick = { msg: "", desc: "" };
+  }
+
+  let suggestions = [];
+  while (!pick) {
+    try {
+      if (!suggestions.length) suggestions = await generateSuggestions(diff, stat, count);
+    } catch (e) {
+      if (ui.headless) throw fail("ai", e.message);
+      ui.note(e.message, "⚠ AI Failed");
+      pick = { msg: "", desc: "" };
+      break;
+    }
+    if (ui.headless) {
+      pick = suggestions[0];
+      break;
+    }
+
+    const choice = await select({
+      message: "Commit message",
+      options: [
+        ...suggestions.map((sg, i) => ({
+          value: i,
+          label: sg.msg,
+          hint: sg.desc && sg.desc.length > 60 ? `${sg.desc.slice(0, 57)}...` : sg.desc,
+        })),
+        { value: "regenerate", label: "🔁 Regenerate", hint: "Ask for different wording" },
+        { value: "write", label: "✏️  Write my own" },
+      ],
+    });
+    if (isCancel(choice)) return;
+
+    if (choice === "write") pick = { msg: "", desc: "" };
+    else if (choice === "regenerate") {
+      try {
+        const more = await generateSuggestions(diff, stat, count, suggestions.map((sg) => sg.msg));
+        if (more.length) suggestions = more;
+        else ui.note("The AI had nothing new to suggest.", "ℹ Same again");
+      } catch (e) {
+        ui.note(e.message, "⚠ AI Failed");
+      }
+    } else pick = suggestions[choice];
+  }
+
+  let subject = String(pick.msg || "");
+  let body = opts.body === false ? "" : typeof opts.body === "string" ? opts.body : pick.desc || "";
+
+  // An amended commit's body, kept as written (paragraphs, lists) unless edited
+  let original = null;
+  if (!ui.headless && !keep) {
+    if (amend && !subject) {
+      const [first, ...rest] = sh(["git", "log", "-1", "--format=%B"], true).split("\n");
+      subject = first;
+      if (opts.body === undefined)
+        body = original = rest.filter((l) => !l.startsWith("Refs: ")).join("\n").trim();
+    }
+    subject = await text({
+      message: "Subject",
+      initialValue: subject,
+      validate: validateSubject,
+    });
+    if (isCancel(subject)) return;
+    if (cfg.commits.lint) subject = fixCommit(subject);
+    if (opts.body !== false) {
+      const flat = body.replace(/\s+/g, " ").trim();
+      const typed = await text({
+        message: "Body (wrapped at 72 columns, empty for none)",
+        initialValue: flat,
+        defaultValue: "",
+      });
+      if (isCancel(typed)) return;
+      body = original !== null && typed === flat ? original : typed;
+    }
+  }
+
+  // Subject, body wrapped at 72 columns and a `Refs:` footer, one `-m` each
+  subject = String(subject).trim();
+  if (body !== original) body = wrap(String(body).trim(), 72);
+  if (!keep && !subject) return ui.fail("commit", "Empty commit message");
+  const footer = !keep && issue && !`${subject}\n${body}`.includes(issue) ? `Refs: ${issue}` : "";
+  const paragraphs = keep ? [] : [subject, body, footer].filter(Boolean);
+  if (ui.headless && !keep) warnLint(paragraphs.join("\n\n"));
+
+  if (!ui.headless && !plan.active) {
+    ui.note(paragraphs.join("\n\n") || pc.dim("(message unchanged)"), amend ? "📝 Amend" : "📝 Commit");
+    const go = await confirm({ message: amend ? "Amend the commit?" : "Commit?" });
+    if (!go || isCancel(go)) return;
+  }
+
+  try {
+    mutate([
+      "git",
+      "commit",
+      ...(amend ? ["--amend"] : []),
+      ...(keep ? ["--no-edit"] : paragraphs.flatMap((p) => ["-m", p])),
+    ]);
+  } catch (e) {
+    return ui.fail("commit", e.message);
+  }
+  if (!plan.active) ui.log(pc.green(amend ? "✔ Amended" : "✔ Committed"));
+
+  return {
+    ok: true,
+    amended: amend,
+    commit: plan.active ? null : git.resolve("HEAD"),
+    subject: keep ? git.commitInfo(head).msg : subject,
+    body: body || null,
+    issue: footer ? issue : null,
+  };
+}
+
+async function flowStash(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+
+  let action = Object.keys(STASH_ACTIONS).find((a) => opts[a] !== undefined && opts[a] !== false);
+  if (!action) {
+    if (ui.headless)
+      return ui.fail(
+        "usage",
+        "Use one of --save, --pop, --apply, --show, --rename, --branch, --drop or --clear in non-interactive mode"
+      );
+
+    action = await select({
+      message: "Stash Manager",
+      options: Object.entries(STASH_ACTIONS).map(([value, o]) => ({ value, ...o })),
+    });
+
+    if (isCancel(action)) return;
+  }
+
+  if (action === "save") {
+    let msg = typeof opts.save === "string" ? opts.save : "";
+    let paths = opts.files || [];
+    let untracked = !!opts.includeUntracked;
+    try {
+      if (!ui.headless && !msg) {
+        msg = await text({
+          message: "Stash Message (Optional)",
+          placeholder: "WIP: Refactoring...",
+        });
+        if (isCancel(msg)) return;
+      }
+
+      if (!ui.headless && !paths.length) {
+        const files = changedFiles();
+        if (!files.length) throw new Error("No local changes to stash");
+        const hasUntracked = files.some((f) => f.code === "??");
+        const scope = await select({
+          message: "What to stash?",
+          options: [
+            { value: "tracked", label: "📄 All tracked changes" },
+            ...(hasUntracked
+              ? [{ value: "all", label: "📦 Everything", hint: "Including untracked files" }]
+              : []),
+            { value: "pick", label: "🎯 Pick files" },
+          ],
+        });
+        if (isCancel(scope)) return;
+        if (scope === "all") untracked = true;
+        if (scope === "pick") {
+          const picked = await multiselect({
+            message: "Files to stash",
+            options: files.map((f) => ({
+              value: f.path,
+              label: f.path,
+              hint: f.code === "??" ? "untracked" : f.code.trim(),
+            })),
+            required: true,
+          });
+          if (isCancel(picked)) return;
+          paths = picked;
+          untracked = files.some((f) => f.code === "??" && picked.includes(f.path));
+        }
+      }
+
+      // Untracked files can only be stashed with -u
+      if (paths.length && changedFiles().some((f) => f.code === "??" && paths.includes(f.path)))
+        untracked = true;
+
+      const s = ui.spinner();
+      s.start(pc.dim("Saving stash..."));
+      git.stashSave(msg || "Otto Stash", { paths, untracked });
+      s.stop(pc.green("✔ Stashed successfully"));
+    } catch (e) {
+      return ui.fail("stash", e.message, "⚠ Info");
+    }
+    return {
+      ok: true,
+      action,
+      message: msg || "Otto Stash",
+      ...(paths.length && { files: paths }),
+      untracked,
+    };
+  }
+
+  const stashes = git.stashList();
+  if (stashes.length === 0) return ui.fail("stash", "No stashes found.", "ℹ Empty");
+
+  if (action === "clear") {
+    if (!ui.headless && !plan.active) {
+      const sure = await confirm({
+        message: pc.red(`Delete all ${stashes.length} stash(es)? This can't be undone.`),
+        initialValue: false,
+      });
+      if (!sure || isCancel(sure)) return;
+    }
+    mutate(["git", "stash", "clear"]);
+    ui.log(pc.green(`✔ Cleared ${stashes.length} stash(es)`));
+    return { ok: true, action, dropped: stashes.length };
+  }
+
+  // The remaining actions work on one stash
+  const value = ["rename", "branch"].includes(action) ? opts.ref : opts[action];
+  const target = await pickStash(value, stashes, `Select Stash to ${STASH_ACTIONS[action].label.replace(/^\S+\s+/, "")}`);
+  if (!target) return;
+  const stash = stashes.find((st) => st.ref === target);
+
+  if (action === "show") {
+    const stat = sh(["git", "stash", "show", "--include-untracked", "--stat", target], true);
+    const patch = sh(["git", "stash", "show", "--include-untracked", "-p", target], true);
+    if (ui.headless) return { ok: true, action, ref: target, stat, patch };
+
+    const lines = patch.split("\n");
+    const shown = lines.slice(0, 60).join("\n");
+    const more = lines.length > 60 ? pc.dim(`\n… ${lines.length - 60} more lines`) : "";
+    note(`${stat}\n\n${shown}${more}`, `👀 ${target} · ${stash.msg}`);
+
+    const next = await select({
+      message: "Now what?",
+      options: [
+        { value: "apply", label: "📥 Apply", hint: "Keep the stash" },
+        { value: "pop", label: "🥡 Pop" },
+        { value: "done", label: "↩️  Done" },
+      ],
+    });
+    if (isCancel(next) || next === "done") return;
+    return flowStash({ ...opts, show: undefined, [next]: target });
+  }
+
+  if (action === "pop" || action === "apply") {
+    const s = ui.spinner();
+    s.start(pc.dim(`${action === "pop" ? "Popping" : "Applying"} ${target}...`));
+    try {
+      mutate(["git", "stash", action, target]);
+      s.stop(pc.green(`✔ ${action === "pop" ? "Popped" : "Applied"} successfully`));
+    } catch (e) {
+      s.stop(pc.red(`✖ ${action === "pop" ? "Pop" : "Apply"} resulted in conflicts`));
+      return ui.fail(
+        "stash",
+        "Changes are applied but there are merge conflicts. Resolve them manually or with `otto resolve`." +
+          (action === "pop" ? " The stash was kept." : ""),
+        "⚠ Conflict"
+      );
+    }
+    return { ok: true, action, ref: target };
+  }
+
+  if (action === "drop") {
+    if (!ui.headless && !plan.active) {
+      const sure = await confirm({
+        message: pc.red(`Drop ${target} (${stash.msg})?`),
+        initialValue: false,
+      });
+      if (!sure || isCancel(sure)) return;
+    }
+    try {
+      mutate(["git", "stash", "drop", target]);
+    } catch (e) {
+      return ui.fail("stash", e.message);
+    }
+    ui.log(pc.green(`✔ Dropped ${target}`));
+    return { ok: true, action, ref: target };
+  }
+
+  if (action === "rename") {
+    let msg = typeof opts.rename === "string" ? opts.rename : "";
+    if (!msg && !ui.headless) {
+      msg = await text({ message: "New Message", initialValue: stash.msg });
+      if (isCancel(msg)) return;
+    }
+    if (!msg) return ui.fail("usage", "A new message is required: --rename <message>");
+
+    // git has no rename: store the same stash commit under the new message,
+    // then drop the old entry, which that moved down by one
+    const hash = sh(["git", "rev-parse", target]);
+    const old = `stash@{${Number(/\{(\d+)\}/.exec(target)[1]) + 1}}`;
+    try {
+      // Keep the "On <branch>:" prefix so the list still shows the branch
+      const subject = stash.branch ? `On ${stash.branch}: ${msg}` : String(msg);
+      mutate(["git", "stash", "store", "-m", subject, hash]);
+    } catch (e) {
+      return ui.fail("stash", `${e.message}\n${target} (${hash}) is unchanged.`);
+    }
+    try {
+      mutate(["git", "stash", "drop", old]);
+    } catch (e) {
+      return ui.fail("stash", `${e.message}\nRenamed to stash@{0}; the old entry is still ${old} (${hash}).`);
+    }
+    ui.log(pc.green(`✔ Renamed, now stash@{0}: ${msg}`));
+    return { ok: true, action, ref: "stash@{0}", message: String(msg) };
+  }
+
+  if (action === "branch") {
+    let name = typeof opts.branch === "string" ? opts.branch : "";
+    if (!name && !ui.headless) {
+      name = await text({ message: "Branch Name", placeholder: "feat/from-stash" });
+      if (isCancel(name)) return;
+    }
+    const valid = git.branchName(name);
+    if (!valid) return ui.fail("usage", `"${name}" is not a valid branch name.`);
+
+    const s = ui.spinner();
+    s.start(pc.dim(`Creating ${valid} from ${target}...`));
+    try {
+      // Checks out the stash's base commit, applies it and drops it
+      mutate(["git", "stash", "branch", valid, target]);
+      s.stop(pc.green(`✔ On ${valid} with ${target} applied`));
+    } catch (e) {
+      s.stop(pc.red("✖ Branch from stash failed"));
+      return ui.fail("stash", e.message);
+    }
+    return { ok: true, action, ref: target, branch: valid };
+  }
+}
+
+async function flowSync() {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+
+  const s = ui.spinner();
+  const remote = cfg.remote;
+  s.start(pc.blue(`📡 Fetching ${remote}...`));
+
+  const curr = git.branch();
+  try {
+    sh(["git", "fetch", remote]);
+
+    // Check if branch exists on remote to avoid error
+    const remoteRef = sh(["git", "ls-remote", "--heads", remote, curr], true);
+
+    if (!remoteRef) {
+      s.stop(pc.yellow("⚠ No remote branch"));
+      ui.note(
+        `Branch '${remote}/${curr}' does not exist.\nPush your branch first to enable syncing.`,
+        "ℹ Info"
+      );
+      return { ok: true, branch: curr, pulled: false };
+    }
+
+    s.message(pc.blue(`🔄 Pulling ${remote}/${curr}...`));
+
+    // Explicitly pull from the remote matching current branch
+    sh(["git", "pull", remote, curr]);
+
+    // Try to fix the upstream config for next time (silent)
+    try {
+      sh(["git", "branch", `--set-upstream-to=${remote}/${curr}`, curr], true);
+    } catch {}
+
+    s.stop(pc.green("✔ Sync Complete"));
+  } catch (e) {
+    s.stop(pc.red("✖ Sync Failed"));
+    const hint = git.conflicts().length ? "\nRun 'otto resolve' for AI suggestions." : "";
+    return ui.fail("sync", e.message + hint, "Git Error");
+  }
+
+  return { ok: true, branch: curr, pulled: true, commit: git.resolve("HEAD") };
+}
+
+// Release type choices for a package at `version`, marking the recommendation
+const releaseTypeOptions = (version, rec) =>
+  [
+    { value: "patch", label: "🐛 Patch", hint: "Fixes" },
+    { value: "minor", label: "✨ Minor", hint: "Features" },
+    { value: "major", label: "💥 Major", hint: "Breaking" },
+    { value: "prepatch", label: "🧪 Pre-patch", hint: "x.y.Z-beta.0" },
+    { value: "preminor", label: "🧪 Pre-minor", hint: "x.Y.0-beta.0" },
+    { value: "premajor", label: "🧪 Pre-major", hint: "X.0.0-beta.0" },
+    { value: "prerelease", label: "🔁 Prerelease", hint: "Next beta.N" },
+    ...(isPrerelease(version)
+      ? [{ value: "graduate", label: "🎓 Graduate", hint: `Ship ${bumpVersion(version, "graduate")}` }]
+      : []),
+    { value: "none", label: "💨 Snapshot", hint: "No version bump" },
+  ]
+    .filter((o) => cfg.releaseTypes.includes(o.value))
+    .map((o) =>
+      o.value === rec?.type ? { ...o, hint: `${o.hint} · recommended` } : o
+    );
+
+// Publish command for the root package, or a workspace package ({ name, dir }).
+// Returns [argv, options] for `mutate`.
+const publishCmd = (channel, pkg = {}) => {
+  const tag = ["--tag", channel];
+  const access = cfg.publish.access ? ["--access", cfg.publish.access] : [];
+  const registry = cfg.publish.registry ? ["--registry", cfg.publish.registry] : [];
+  const args = ["publish", ...tag, ...access, ...registry];
+
+  switch (cfg.packageManager) {
+    case "pnpm":
+      return [
+        pmCmd(...(pkg.name ? ["--filter", pkg.name] : []), ...args, "--no-git-checks"),
+      ];
+    case "bun":
+      // bun publishes the package in the working directory
+      return [pmCmd(...args), { cwd: pkg.dir }];
+    case "yarn":
+      // Berry takes its registry from .yarnrc.yml; classic shells out to npm anyway
+      if (isYarnBerry())
+        return [
+          pmCmd(...(pkg.name ? ["workspace", pkg.name] : []), "npm", "publish", ...tag, ...access),
+        ];
+    // falls through
+    default: {
+      const npm = process.platform === "win32" ? ["cmd", "/c", "npm"] : ["npm"];
+      return [[...npm, ...args, ...(pkg.name ? ["--workspace", pkg.name] : [])]];
+    }
+  }
+};
+
+async function flowRelease(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+  if (opts.resume) return resumeRelease();
+  if (opts.abort) return abortRelease();
+  if (txn.load())
+    return ui.fail(
+      "usage",
+      `A release started ${txn.state.startedAt} is unfinished (last stage: ${txn.state.stage}). ` +
+        "Run `otto release --resume` or `otto release --abort` first."
+    );
+
+  if (ui.headless && !opts.type)
+    return ui.fail("usage", "--type is required in non-interactive mode");
+  // Before install and build; changes they make alone are caught at commit time
+  if (ui.headless && opts.ai === false && !opts.message && git.status())
+    return ui.fail("usage", "--message is required when using --no-ai");
+  if (opts.type && opts.type !== "auto" && !cfg.releaseTypes.includes(opts.type))
+    return ui.fail(
+      "usage",
+      `Release type "${opts.type}" is not allowed (releaseTypes: ${cfg.releaseTypes.join(", ")})`
+    );
+
+  const source = versionSource();
+  const current = source.read();
+  const packages = opts.workspace === false ? [] : workspacePackages();
+  if (!packages.length && !current)
+    return ui.fail("version", `No version found in ${source.file}`);
+  if (!packages.length && opts.type === "graduate" && !isPrerelease(current))
+    return ui.fail("usage", `${current} is not a prerelease, nothing to graduate`);
+
+  // Flags answer their prompt; only ask for what's missing
+  const config = {
+    type: opts.type,
+    preid: cfg.preid,
+    push: opts.push || (ui.headless ? "safe" : undefined),
+    ok: opts.yes || ui.headless || undefined,
+  };
+
+  // Workspaces pick packages and per-package types instead of one type
+  if (packages.length) {
+    const picked = await pickWorkspaceReleases(packages, opts);
+    if (!picked) return;
+    config.workspace = picked;
+    config.type = picked.releases.length ? "workspace" : "none";
+  }
+
+  const prompts = {};
+  if (!config.type) {
+    // Everything since the last stable release decides the bump, rc or not
+    const since = releaseTag("HEAD", { stable: true });
+    const rec = recommendBump(git.commits(since));
+    ui.note(rec.reason, `💡 Suggested: ${rec.type} (since ${since || "first commit"})`);
+
+    prompts.type = () =>
+      select({
+        message: "Release Type",
+        options: releaseTypeOptions(current, rec),
+        initialValue: cfg.releaseTypes.includes(rec.type) ? rec.type : undefined,
+      });
+  }
+  if (!config.preid && !ui.headless)
+    prompts.preid = ({ results }) => {
+      const types = config.workspace
+        ? config.workspace.releases.map((r) => r.type)
+        : [config.type || results.type];
+      if (!types.some((t) => t?.startsWith("pre"))) return;
+      const id = isPrerelease(current) ? distTag(current) : "beta";
+      return text({
+        message: "Prerelease ID",
+        placeholder: "alpha, beta, rc",
+        initialValue: id === "next" ? "" : id,
+      });
+    };
+  if (!config.push)
+    prompts.push = () =>
+      select({
+        message: "Push Mode",
+        options: [
+          { value: "safe", label: "🛡️ Safe", hint: "Standard push" },
+          { value: "force", label: "🔥 Force", hint: "Overwrite remote" },
+        ],
+      });
+  if (!config.ok)
+    prompts.ok = () => confirm({ message: "Start Build & Release?" });
+
+  if (Object.keys(prompts).length) {
+    let canceled = false;
+    const answers = await group(prompts, {
+      onCancel: () => {
+        canceled = true;
+        return;
+      },
+    });
+    if (canceled) return;
+    Object.assign(config, answers, { preid: config.preid || answers.preid });
+  }
+
+  if (!config.ok) return;
+
+  if (config.preid && !/^[0-9A-Za-z-]+$/.test(config.preid))
+    return ui.fail("usage", `Invalid prerelease ID: ${config.preid}`);
+
+  const s = ui.spinner();
+  try {
+    s.start(pc.dim(`🔄 Syncing ${cfg.remote}`));
+    sh(["git", "fetch", cfg.remote, git.defaultBranchName()]);
+    txn.begin();
+    if (fs.existsSync("package.json")) {
+      s.message(pc.dim("📦 Installing deps"));
+      txn.touch(LOCKFILES);
+      mutate(pmCmd("install"));
+    }
+
+    const scripts = readPkg().scripts || {};
+    const { build, test } = cfg.scripts;
+
+    if (build && scripts[build]) {
+      s.message(pc.dim("🛠️  Building project"));
+      mutate(pmCmd("run", build));
+    }
+
+    if (test && scripts[test]) {
+      s.message(pc.dim("🧪 Running tests"));
+      mutate(pmCmd("run", test));
+    }
+
+    s.stop(pc.green("✔ Build Pipeline Success"));
+  } catch (e) {
+    s.stop(pc.red("✖ Pipeline Failed"));
+    rollbackRelease();
+    return ui.fail("pipeline", e.message);
+  }
+
+  const staging = await chooseFiles();
+  if (!staging) return rollbackRelease();
+  try {
+    if (staging.reset.length) mutate(["git", "reset", "-q", "--", ...staging.reset]);
+    if (staging.add.length)
+      mutate(["git", "add", "-A", "--", ...staging.add], { detail: git.status(staging.add) });
+    txn.done("pipeline");
+  } catch (e) {
+    rollbackRelease();
+    return ui.fail("pipeline", e.message);
+  }
+
+  let commitInfo = { msg: "Manual/No Commit", desc: "No changes" };
+  let committed = false;
+  const diff = plan.active ? git.pendingDiff([], staging) : git.rawDiff();
+  const stat = plan.active ? git.pendingDiff(["--stat"], staging) : git.diff();
+
+  if (diff) {
+    if (ui.headless && !opts.message && opts.ai === false) {
+      rollbackRelease();
+      return ui.fail("usage", "--message is required when using --no-ai");
+    }
+
+    let ai = { msg: opts.message || "", desc: "" };
+    try {
+      if (!opts.message && opts.ai !== false) {
+        ai = await generateCommit(diff, stat);
+        ui.note(pc.italic(wrap(ai.desc, 60)), "📋 AI Summary");
+      }
+    } catch (e) {
+      if (ui.headless) {
+        rollbackRelease();
+        throw fail("ai", e.message);
+      }
+      // Like `otto commit`: type the message instead
+      ui.note(e.message, "⚠ AI Failed");
+    }
+
+    let msg = opts.message || ai.msg;
+    if (!ui.headless && !opts.message) {
+      msg = await text({
+        message: "Commit Message",
+        initialValue: ai.msg,
+        validate: validateSubject,
+      });
+      if (isCancel(msg)) return rollbackRelease();
+      if (cfg.commits.lint) msg = fixCommit(msg);
+    } else if (msg) warnLint(msg);
+
+    // Never bump and push with the picked files left uncommitted
+    try {
+      if (!msg) throw new Error("Empty commit message");
+      mutate(["git", "commit", "-m", String(msg)]);
+      txn.commit();
+      if (!plan.active) ui.log(pc.green("✔ Committed"));
+      commitInfo = { msg: String(msg), desc: ai.desc };
+      committed = true;
+    } catch (e) {
+      rollbackRelease();
+      return ui.fail("commit", e.message);
+    }
+  } else {
+    ui.note("No changes to commit", "ℹ Skip");
+  }
+  txn.done("commit");
+
+  // In a dry run the release commit only exists in the plan
+  const pending =
+    plan.active && committed
+      ? [{ hash: "", short: "pending", author: git.user(), subject: commitInfo.msg, body: "" }]
+      : [];
+  const since = releaseTag("HEAD", { stable: !/^(pre|none)/.test(config.type) });
+  const commits = () => [...pending, ...git.commits(since)];
+
+  // `--type auto` is resolved after committing so the new commit counts too
+  if (config.type === "auto") {
+    const rec = recommendBump(commits());
+    ui.note(rec.reason, `💡 Auto: ${rec.type} (since ${since || "first commit"})`);
+    if (!cfg.releaseTypes.includes(rec.type)) {
+      rollbackRelease();
+      return ui.fail(
+        "usage",
+        `Suggested release type "${rec.type}" is not allowed (releaseTypes: ${cfg.releaseTypes.join(", ")})`
+      );
+    }
+    config.type = rec.type;
+  }
+
+  // Planned first so the spinner counts only packages that get a version
+  let planned = [];
+  if (config.workspace) {
+    try {
+      planned = planWorkspace(config.workspace.releases, {
+        lockstep: config.workspace.lockstep,
+        preid: config.preid,
+        pending,
+      });
+    } catch (e) {
+      rollbackRelease();
+      return ui.fail("version", e.message);
+    }
+  }
+
+  const rb = ui.spinner();
+  const startMsg = planned.length
+    ? `🔖 Bumping ${planned.length} package(s)...`
+    : config.type !== "none" && !config.workspace
+      ? `🔖 Bumping ${config.type}...`
+      : "🚀 Preparing push...";
+  rb.start(pc.blue(startMsg));
+
+  const tags = [];
+  let released = [];
+  let releasedVersion = current || null;
+  if (config.workspace) {
+    try {
+      txn.touch([
+        "package.json",
+        ...LOCKFILES,
+        ...packages.flatMap((p) => [p.file, path.join(p.dir, "CHANGELOG.md")]),
+      ]);
+      released = releaseWorkspace(planned, { changelog: opts.changelog !== false });
+      tags.push(...released.map((r) => r.tag));
+    } catch (e) {
+      rb.stop(pc.red("✖ Version bump failed"));
+      rollbackRelease();
+      return ui.fail("version", e.message);
+    }
+  } else if (config.type !== "none") {
+    try {
+      const version = bumpVersion(current, config.type, config.preid);
+      if (source.tagOnly) {
+        // The tag is the version: nothing to write or commit
+        mutate(["git", "tag", "-a", `v${version}`, "-m", version]);
+      } else {
+        txn.touch(
+          [source.file, "Cargo.lock", "uv.lock", ...LOCKFILES, "CHANGELOG.md"].filter(
+            (f, i, all) => all.indexOf(f) === i
+          )
+        );
+        const files = source.write(version);
+
+        if (opts.changelog !== false) {
+          rb.message(pc.blue("📝 Updating CHANGELOG.md"));
+          writeChangelog(renderChangelog(`v${version}`, commits()));
+          files.push("CHANGELOG.md");
+        }
+
+        mutate(["git", "add", "--", ...files]);
+        mutate(["git", "commit", "-m", version, "--", ...files]);
+        txn.commit();
+        mutate(["git", "tag", "-a", `v${version}`, "-m", version]);
+      }
+      txn.tag(`v${version}`);
+      tags.push(`v${version}`);
+      releasedVersion = version;
+    } catch (e) {
+      rb.stop(pc.red("✖ Version bump failed"));
+      rollbackRelease();
+      return ui.fail("version", e.message);
+    }
+  }
+
+  // Everything after this point can be resumed
+  const release = {
+    type: String(config.type),
+    push: config.push,
+    remote: cfg.remote,
+    branch: git.branch(),
+    tags,
+    version: config.workspace ? null : releasedVersion,
+    workspace: !!config.workspace,
+    released,
+    publishable: config.workspace || source.name === "npm",
+    versionFile: source.file,
+    commitInfo,
+    published: {},
+  };
+  txn.done("version", { release });
+  return finishRelease(release, rb);
+}
+
+// Push, log and publish: the stages a release can be resumed at
+async function finishRelease(release, rb) {
+  const { remote, branch, tags, released, commitInfo } = release;
+
+  if (!txn.reached("push")) {
+    rb.message(pc.blue(`🚀 Pushing to ${remote}`));
+    for (;;) {
+      try {
+        mutate([
+          "git",
+          "push",
+          remote,
+          "HEAD",
+          ...(release.push === "force" ? ["--force"] : []),
+          "--tags",
+        ]);
+        break;
+      } catch (e) {
+        rb.stop(pc.red("✖ Push Failed"));
+        const next = ui.headless
+          ? "keep"
+          : await select({
+              message: "Push failed. What now?",
+              options: [
+                { value: "retry", label: "🔁 Retry", hint: e.message.split("\n")[0] },
+                { value: "keep", label: "⏸  Keep", hint: "Resume later with --resume" },
+                { value: "rollback", label: "⏪ Roll back", hint: "Undo the release commits & tags" },
+              ],
+            });
+        if (next === "retry") {
+          rb.start(pc.blue(`🚀 Pushing to ${remote}`));
+          continue;
+        }
+        if (next === "rollback") {
+          rollbackRelease();
+          return ui.fail("push", e.message);
+        }
+        const hint =
+          "Run `otto release --resume` to retry the push, or `otto release --abort` to roll back.";
+        if (ui.headless) throw fail("push", `${e.message}\n${hint}`);
+        return ui.note(hint, "⏸ Release kept");
+      }
+    }
+    rb.stop(pc.green(plan.active ? "✔ Plan ready" : "✔ Deployed"));
+    txn.done("push");
+  } else {
+    rb.stop(pc.dim(`Already pushed to ${remote}`));
+  }
+
+  let logged = null;
+  if (!txn.reached("log")) {
+    logged = await logRelease({
+      branch,
+      type: release.type,
+      message: commitInfo.msg,
+      description: commitInfo.desc,
+      version: release.version,
+      tag: release.workspace ? null : tags[0] || null,
+      ...(release.workspace && {
+        packages: released.map(({ name, version, tag }) => ({ name, version, tag })),
+      }),
+      commit: plan.active ? null : git.resolve("HEAD"),
+    });
+    txn.done("log");
+  }
+
+  let published = null;
+  if (cfg.publish.enabled && !release.publishable) {
+    ui.note(`Publishing needs a package.json version, not ${release.versionFile || "tags"}.`, "ℹ Publish");
+  } else if (cfg.publish.enabled && release.type !== "none") {
+    const targets = release.workspace
+      ? released
+      : [{ name: null, version: release.version, private: !!readPkg().private }];
+
+    for (const t of targets) {
+      const label = t.name ? `${t.name}@${t.version}` : t.version;
+      if (t.private) {
+        ui.note(`${t.name || "Package"} is private, skipping publish.`, "ℹ Publish");
+        continue;
+      }
+      const channel = cfg.publish.tag || distTag(t.version);
+      if (release.published[label]) {
+        published = t.published = release.published[label];
+        continue;
+      }
+      const ps = ui.spinner();
+      ps.start(pc.blue(`📦 Publishing ${label} to "${channel}"`));
+      try {
+        mutate(...publishCmd(channel, t));
+        ps.stop(pc.green(`✔ Published ${label} (${channel})`));
+        t.published = channel;
+        published = channel;
+        release.published[label] = channel;
+        txn.save();
+      } catch (e) {
+        ps.stop(pc.red(`✖ Publish of ${label} failed`));
+        return ui.fail(
+          "publish",
+          `${e.message}\nRun \`otto release --resume\` to retry publishing.`
+        );
+      }
+    }
+  }
+  txn.end();
+
+  return {
+    ok: true,
+    dryRun: plan.active,
+    type: release.type,
+    version: release.version,
+    tag: release.workspace ? null : tags[0] || null,
+    ...(release.workspace && {
+      packages: released.map(({ name, version, tag, published }) => ({
+        name,
+        version,
+        tag,
+        published: published || null,
+      })),
+    }),
+    commit: plan.active ? null : git.resolve("HEAD"),
+    message: commitInfo.msg,
+    pushed: `${remote}/${branch}`,
+    published,
+    logged,
+  };
+}
+
+// Continues a release that stopped after its version stage
+async function resumeRelease() {
+  const st = txn.load();
+  if (!st) return ui.fail("usage", "There is no unfinished release to resume.");
+  if (!txn.reached("version") || !st.release)
+    return ui.fail(
+      "usage",
+      `The release stopped before its version commit (last stage: ${st.stage}). Run \`otto release --abort\` to roll it back.`
+    );
+  if (!txn.reached("push") && git.resolve("HEAD") !== (st.commits.at(-1) || st.head))
+    return ui.fail("repo", "HEAD has moved since the release was made; it can't be resumed.");
+
+  const what = st.release.tags.join(", ") || st.release.type;
+  ui.note(`${what}, started ${st.startedAt}, stopped after "${st.stage}".`, "⏯ Resuming release");
+  const rb = ui.spinner();
+  rb.start(pc.blue("⏯ Resuming"));
+  return finishRelease(st.release, rb);
+}
+
+// Rolls an unfinished release back to its checkpoint
+function abortRelease() {
+  const st = txn.load();
+  if (!st) return ui.fail("usage", "There is no unfinished release to abort.");
+  if (txn.reached("push")) {
+    txn.end();
+    ui.note("The release was already pushed, so nothing was rolled back.", "ℹ Abort");
+    return { ok: true, rolledBack: [] };
+  }
+  try {
+    const undone = txn.rollback();
+    ui.note(undone.length ? `Undid ${undone.join(", ")}.` : "Nothing to undo.", "✅ Rollback");
+    return { ok: true, rolledBack: undone };
+  } catch (e) {
+    return ui.fail("repo", e.message);
+  }
+}
+
+// "Add the login form!" → "add-the-login-form"
+const slugify = (s, max = 48) =>
+  String(s)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, max)
+    .replace(/^-+|-+$/g, "");
+
+// Fills `branches.template`. An empty placeholder takes its separator with
+// it: {type}/{ticket}-{slug} without a ticket gives feat/login-form.
+const renderBranch = (values, template = cfg.branches.template) =>
+  template
+    .replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "")
+    .replace(/[/_.-]{2,}/g, (m) => (m.includes("/") ? "/" : m[0]))
+    .replace(/^[/_.-]+|[/_.-]+$/g, "");
+
+// Why a new branch name won't do, or undefined
+const checkBranch = (name) => {
+  if (!name?.trim()) return "The name can't be empty";
+  if (!git.branchName(name)) return `git won't accept "${name}" as a branch name`;
+  if (cfg.branches.pattern && !new RegExp(cfg.branches.pattern).test(name))
+    return `Doesn't match branches.pattern: ${cfg.branches.pattern}`;
+  if (git.resolve(`refs/heads/${name}`)) return `${name} already exists`;
+};
+
+// Asks for the parts of `branches.template`, then for the final name
+async function promptBranchName() {
+  const template = cfg.branches.template;
+  const values = { user: slugify(git.user()) };
+  let custom = false;
+
+  if (template.includes("{type}")) {
+    const type = await select({
+      message: "Type",
+      options: [
+        ...cfg.commits.types.map((t) => ({ value: t, label: t })),
+        { value: "", label: "✏️  Custom name", hint: "skip the template" },
+      ],
+    });
+    if (isCancel(type)) return null;
+    values.type = type;
+    custom = !type;
+  }
+  if (!custom && template.includes("{ticket}")) {
+    const ticket = await text({
+      message: "Ticket (optional)",
+      placeholder: "ABC-123",
+      defaultValue: "",
+      validate: (v) =>
+        !v || /^([A-Za-z][A-Za-z0-9]*-\d+|#?\d+)$/.test(v.trim())
+          ? undefined
+          : "Use a ticket ID like ABC-123 or 42",
+    });
+    if (isCancel(ticket)) return null;
+    values.ticket = ticket.trim().replace(/^#/, "").toUpperCase();
+  }
+  if (!custom && template.includes("{slug}")) {
+    const about = await text({
+      message: "What is it about?",
+      placeholder: "login form",
+      validate: (v) => (slugify(v) ? undefined : "Describe it in a few words"),
+    });
+    if (isCancel(about)) return null;
+    values.slug = slugify(about);
+  }
+
+  const name = await text({
+    message: "Branch Name",
+    placeholder: "feat/new-thing",
+    initialValue: custom ? "" : renderBranch(values, template),
+    validate: checkBranch,
+  });
+  return isCancel(name) ? null : git.branchName(name.trim());
+}
+
+// Current branch, the default branch or a tag
+async function pickBase(curr) {
+  const main = git.defaultBranch();
+  const tags = sh(["git", "tag", "--sort=-creatordate"], true).split("\n").filter(Boolean);
+  const base = await select({
+    message: "Branch from",
+    options: [
+      { value: "HEAD", label: `📍 ${curr}`, hint: "current" },
+      ...(main && main !== curr ? [{ value: main, label: `🏠 ${main}`, hint: "default branch" }] : []),
+      ...(tags.length ? [{ value: "tag", label: "🏷️  A tag", hint: `latest: ${tags[0]}` }] : []),
+    ],
+  });
+  if (isCancel(base) || base !== "tag") return isCancel(base) ? null : base;
+
+  const tag = await select({
+    message: "Tag",
+    options: tags.slice(0, 15).map((t) => ({ value: t, label: t })),
+  });
+  return isCancel(tag) ? null : tag;
+}
+
+// "2 days ago · ↑1 ↓3"
+const branchHint = (b) =>
+  [
+    ago(b.date),
+    b.remote
+      ? "remote only"
+      : b.gone
+        ? "upstream gone"
+        : !b.upstream
+          ? "local only"
+          : b.ahead || b.behind
+            ? [b.ahead && `↑${b.ahead}`, b.behind && `↓${b.behind}`].filter(Boolean).join(" ")
+            : "up to date",
+  ].join(" · ");
+
+async function flowBranch() {
+  if (!git.isRepo()) {
+    note("Not a git repository.", "Error");
     return;
   }
 
+  const curr = git.branch();
+
   const action = await select({
-    message: "Stash Manager",
+    message: "Branch Manager",
     options: [
-      { value: "save", label: "💾 Save", hint: "Stash current changes" },
-      { value: "pop", label: "🥡 Pop", hint: "Apply saved stash" },
+      { value: "switch", label: "🔀 Switch", hint: "Auto-Stash & Switch" },
+      { value: "create", label: "✨ Create", hint: "From a template" },
+      {
+        value: "update",
+        label: "🔄 Update",
+        hint: `Merge or rebase onto ${git.defaultBranchName()}`,
+      },
+      { value: "pr", label: "🌐 Open PR", hint: "AI title & description" },
+      { value: "cleanup", label: "🧹 Cleanup", hint: "Delete merged & stale branches" },
     ],
   });
 
   if (isCancel(action)) return;
 
-  if (action === "save") {
+  if (action === "switch") {
+    const branches = git.branches().filter((b) => b.name !== curr);
+    if (!branches.length) {
+      note("There are no other branches.", "ℹ Empty");
+      return;
+    }
+    const pick = await select({
+      message: "Select Branch",
+      options: branches.map((b) => ({
+        value: b,
+        label: b.remote ? `☁️  ${b.name}` : b.name,
+        hint: branchHint(b),
+      })),
+    });
+    if (isCancel(pick)) return;
+    // A remote-only branch gets a local branch tracking it
+    const target = pick.remote ? pick.name.slice(cfg.remote.length + 1) : pick.name;
+
+    const s = spinner();
+    s.start(pc.dim("Switching branches"));
+    const stashed = git.stash();
+
     try {
-      const msg = await text({
-        message: "Stash Message (Optional)",
-        placeholder: "WIP: Refactoring...",
-      });
-      if (isCancel(msg)) return;
+      mutate(["git", "checkout", ...(pick.remote ? ["--track", pick.name] : [target])]);
+      s.message(pc.dim(`Switched to ${target}`));
+    } catch (e) {
+      s.stop(pc.red("✖ Checkout Failed"));
+      if (stashed) git.pop();
+      note(e.message, "Git Error");
+      return;
+    }
+
+    if (stashed) {
+      s.message(pc.dim("Restoring changes"));
+      if (!git.pop()) {
+        s.stop(pc.yellow("⚠ Switched, but stash pop had conflicts."));
+        note("Resolve the conflicts by hand or with 'otto resolve'.", "Conflict Alert");
+        return;
+      }
+    }
+    s.stop(pc.green(`✔ Switched to ${target}`));
+  }
+
+  if (action === "update") await flowUpdate();
+
+  if (action === "create") {
+    const name = await promptBranchName();
+    if (!name) return;
+    const base = await pickBase(curr);
+    if (!base) return;
+    // Branch from the default branch as it is on the remote now
+    if (base === git.defaultBranch() && base.startsWith(`${cfg.remote}/`))
+      sh(["git", "fetch", "-q", cfg.remote, git.defaultBranchName()], true);
+    try {
+      mutate(["git", "checkout", "--no-track", "-b", name, ...(base === "HEAD" ? [] : [base])]);
+      note(`Checked out to ${name} from ${base === "HEAD" ? curr : base}`, "✔ Created");
+    } catch (e) {
+      note(e.message, "✖ Failed");
+    }
+  }
+
+  if (action === "pr") await flowPr();
+  if (action === "cleanup") await flowPrune();
+}
+
+// `git checkout --ours/--theirs` for "mine" and "theirs". A rebase replays
+// your commits onto the other side, so there "ours" is the other side.
+const conflictSides = (op) =>
+  op === "rebase" ? { mine: "--theirs", theirs: "--ours" } : { mine: "--ours", theirs: "--theirs" };
+
+// Resolves a conflicted file with one side; a side that deleted it deletes it
+function takeSide(file, flag) {
+  if (run(["git", "checkout", flag, "--", file]).code === 0) sh(["git", "add", "--", file]);
+  else sh(["git", "rm", "-q", "--", file]);
+}
+
+// Opens the file in git's editor; staged once no conflict markers are left
+function editConflict(file) {
+  openEditor(file);
+  const left = fs.existsSync(file) && /^(<{7}|>{7})( |\r?$)/m.test(fs.readFileSync(file, "utf8"));
+  if (left) throw new Error(`${file} still has conflict markers`);
+  sh(["git", "add", "-A", "--", file]);
+}
+
+// Walks through a stopped rebase or merge file by file, then continues it.
+// true when it finished, false when aborted, null when left paused.
+async function conflictLoop(op, theirs) {
+  const side = conflictSides(op);
+  // Continuing must not stop in an editor for the commit message
+  const env = { ...process.env, GIT_EDITOR: "true" };
+
+  for (;;) {
+    const files = git.conflicts();
+    const choice = await select({
+      message: files.length
+        ? `${files.length} conflicted file(s). Pick one to resolve`
+        : `No conflicts left in this step`,
+      options: [
+        ...files.map((f) => ({ value: f, label: `⚔️  ${f}` })),
+        ...(files.length ? [] : [{ value: "continue", label: `▶️  Continue the ${op}` }]),
+        ...(op === "rebase"
+          ? [{ value: "skip", label: "⏭  Skip this commit", hint: "leave it out of the rebase" }]
+          : []),
+        { value: "abort", label: `✖ Abort the ${op}`, hint: "back to where you started" },
+      ],
+    });
+    if (isCancel(choice)) return null;
 
-      const s = spinner();
-      s.start(pc.dim("Saving stash..."));
-      git.stashSave(msg || "Otto Stash");
-      s.stop(pc.green("✔ Stashed successfully"));
-    } catch (e) {
-      note(e.message, "⚠ Info");
+    if (choice === "abort") {
+      run(["git", op, "--abort"]);
+      return false;
     }
-  }
 
-  if (action === "pop") {
-    const stashes = git.stashList();
-    if (stashes.length === 0) {
-      note("No stashes found.", "ℹ Empty");
-      return;
+    if (choice === "continue" || choice === "skip") {
+      const res =
+        op === "merge"
+          ? run(["git", "commit", "--no-edit"], { env })
+          : run(["git", "rebase", `--${choice}`], { env });
+      if (!git.inProgress()) return true;
+      if (res.code !== 0 && !git.conflicts().length)
+        ui.note(res.stderr || res.stdout, "⚠ git");
+      continue;
     }
 
-    const target = await select({
-      message: "Select Stash to Pop",
-      options: stashes.map((s) => ({
-        value: s.ref,
-        label: s.msg,
-        hint: s.ref,
-      })),
+    const how = await select({
+      message: choice,
+      options: [
+        { value: "mine", label: "🙋 Keep mine" },
+        { value: "theirs", label: `📥 Take ${theirs}` },
+        { value: "edit", label: "📝 Open in editor" },
+        { value: "ai", label: "🤖 AI suggestion", hint: "review each conflict" },
+        { value: "back", label: "↩️  Back" },
+      ],
     });
-
-    if (isCancel(target)) return;
-
-    const s = spinner();
-    s.start(pc.dim(`Popping ${target}...`));
+    if (isCancel(how) || how === "back") continue;
     try {
-      sh(`git stash pop ${target}`);
-      s.stop(pc.green("✔ Popped successfully"));
+      if (how === "edit") editConflict(choice);
+      else if (how === "ai") await resolveFile(choice);
+      else takeSide(choice, side[how]);
     } catch (e) {
-      s.stop(pc.red("✖ Pop resulted in conflicts"));
-      note(
-        "Changes are applied but there are merge conflicts. Resolve them manually.",
-        "⚠ Conflict"
-      );
+      ui.note(e.message, "⚠ Still conflicted");
     }
   }
 }
 
-async function flowSync() {
-  if (!git.isRepo()) {
-    note("Not a git repository.", "Error");
-    return;
+// Brings the current branch up to date with the default branch by merge or
+// rebase, stashing local changes around it
+async function flowUpdate(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+
+  const pending = git.inProgress();
+  if (pending) {
+    if (ui.headless)
+      return ui.fail("sync", `A ${pending} is already in progress. Finish or abort it first.`);
+    const done = await conflictLoop(pending, "theirs");
+    if (done === null) return;
+    ui.note(
+      `${done ? "Finished" : "Aborted"} the ${pending}. If Otto stashed changes before it, they are still in 'git stash list'.`,
+      done ? "✔ Done" : "✖ Aborted"
+    );
+    return { ok: true, strategy: pending, updated: done, aborted: !done };
   }
 
-  const s = spinner();
-  s.start(pc.blue("📡 Fetching origin..."));
+  const curr = git.branch();
+  const name = git.defaultBranchName();
+  const target = `${cfg.remote}/${name}`;
+  if (curr === name) return ui.fail("usage", `You're on ${name}; use Sync to pull it.`);
 
+  const s = ui.spinner();
+  s.start(pc.dim(`Fetching ${name}`));
   try {
-    sh("git fetch origin");
-    const curr = git.branch();
+    sh(["git", "fetch", cfg.remote, name]);
+  } catch (e) {
+    s.stop(pc.red("✖ Fetch Failed"));
+    return ui.fail("sync", e.message, "Git Error");
+  }
+  const behind = Number(git.commitsBehind(target)) || 0;
+  s.stop(pc.dim(`${curr} is ${behind} commit(s) behind ${target}`));
+  if (!behind) {
+    ui.note(`${curr} already has everything in ${target}.`, "✔ Up to date");
+    return { ok: true, strategy: null, updated: false };
+  }
 
-    // Check if branch exists on remote to avoid error
-    const remoteRef = sh(`git ls-remote --heads origin ${curr}`, true);
+  let strategy = opts.rebase ? "rebase" : opts.merge || ui.headless ? "merge" : null;
+  if (!strategy) {
+    // Commits a rebase would rewrite that are already pushed
+    const upstream = sh(["git", "rev-parse", "--abbrev-ref", "@{u}"], true);
+    const pushed = upstream
+      ? Number(sh(["git", "rev-list", "--count", `${target}..${upstream}`], true)) || 0
+      : 0;
+    strategy = await select({
+      message: `Update ${curr} from ${target}`,
+      options: [
+        { value: "rebase", label: "🪜 Rebase", hint: pushed ? `rewrites ${pushed} pushed commit(s), needs a force push` : "linear history" },
+        { value: "merge", label: "🔀 Merge", hint: "adds a merge commit" },
+      ],
+    });
+    if (isCancel(strategy)) return;
+  }
 
-    if (!remoteRef) {
-      s.stop(pc.yellow("⚠ No remote branch"));
-      note(
-        `Branch 'origin/${curr}' does not exist.\nPush your branch first to enable syncing.`,
-        "ℹ Info"
+  const stashed = git.stash();
+  const restore = () => {
+    if (stashed && !git.pop())
+      ui.note(
+        "Your stashed changes conflict with the update. Resolve them by hand or with 'otto resolve'.",
+        "Conflict Alert"
+      );
+  };
+
+  let done = true;
+  try {
+    mutate(["git", strategy, ...(strategy === "merge" ? ["--no-edit"] : []), target]);
+  } catch (e) {
+    const files = git.conflicts();
+    if (!files.length || ui.headless) {
+      if (git.inProgress()) run(["git", strategy, "--abort"]);
+      restore();
+      return ui.fail(
+        "sync",
+        files.length ? `Conflicts in ${files.join(", ")}. The ${strategy} was aborted.` : e.message,
+        "Git Error"
+      );
+    }
+    done = await conflictLoop(strategy, target);
+    if (done === null) {
+      ui.note(
+        `The ${strategy} is paused. Run Update again to pick it up, or 'git ${strategy} --abort'.` +
+          (stashed ? "\nYour local changes are in the stash (Otto Auto-Switch)." : ""),
+        "⏸ Paused"
       );
       return;
     }
+  }
 
-    s.message(pc.blue(`🔄 Pulling origin/${curr}...`));
-
-    // Explicitly pull from the remote matching current branch
-    sh(`git pull origin ${curr}`);
-
-    // Try to fix the upstream config for next time (silent)
-    try {
-      sh(`git branch --set-upstream-to=origin/${curr} ${curr}`, true);
-    } catch {}
+  restore();
+  if (!plan.active)
+    ui.note(
+      done ? `${curr} is up to date with ${target}.` : `Nothing changed on ${curr}.`,
+      done ? `✔ ${strategy === "rebase" ? "Rebased" : "Merged"}` : "✖ Aborted"
+    );
+  return { ok: true, strategy, updated: done, aborted: !done, commit: git.resolve("HEAD") };
+}
 
-    s.stop(pc.green("✔ Sync Complete"));
-  } catch (e) {
-    s.stop(pc.red("✖ Sync Failed"));
-    note(e.message, "Git Error");
+async function flowResolve(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+  const conflicted = git.conflicts();
+  const unknown = (opts.files || []).filter((f) => !conflicted.includes(f));
+  if (unknown.length) return ui.fail("usage", `Not conflicted: ${unknown.join(", ")}`);
+  const files = opts.files?.length ? opts.files : conflicted;
+  if (!files.length) {
+    ui.note("There are no conflicted files.", "✨ Nothing to resolve");
+    return { ok: true, files: [] };
   }
-}
+  // Nobody reviews a headless run, so writing its suggestions takes an explicit opt-in
+  if (ui.headless && !plan.active && !opts.acceptAll)
+    return ui.fail(
+      "usage",
+      "--yes can't review the AI's resolutions. Add --accept-all to write and stage them unreviewed, " +
+        "or use --dry-run to only show them. The conflicts are left in place."
+    );
 
-async function flowRelease() {
-  if (!git.isRepo()) {
-    note("Not a git repository.", "Error");
-    return;
+  const results = [];
+  for (const file of files) {
+    const result = await resolveFile(file, { acceptAll: ui.headless || !!opts.acceptAll });
+    results.push(result);
+    if (result.stopped) break;
   }
 
-  let canceled = false;
-  const config = await group(
-    {
-      type: () =>
-        select({
-          message: "Release Type",
-          options: [
-            { value: "patch", label: "🐛 Patch", hint: "Fixes" },
-            { value: "minor", label: "✨ Minor", hint: "Features" },
-            { value: "major", label: "💥 Major", hint: "Breaking" },
-            { value: "none", label: "💨 Snapshot", hint: "No version bump" },
-          ],
-        }),
-      push: () =>
-        select({
-          message: "Push Mode",
-          options: [
-            { value: "safe", label: "🛡️ Safe", hint: "Standard push" },
-            { value: "force", label: "🔥 Force", hint: "Overwrite remote" },
-          ],
-        }),
-      ok: () => confirm({ message: "Start Build & Release?" }),
-    },
-    {
-      onCancel: () => {
-        canceled = true;
-        return;
-      },
-    }
-  );
+  if (!plan.active)
+    ui.note(
+      results
+        .map((r) => `${r.file}: ${r.resolved}/${r.total} resolved${r.staged ? ", staged" : ""}`)
+        .join("\n") +
+        pc.dim("\n\nNothing was committed. Review the changes, then continue the merge or rebase."),
+      "🤖 Resolve"
+    );
+  return { ok: true, files: results };
+}
 
-  if (canceled || !config.ok) return;
+async function flowHooks(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+  const dir = hooksDir();
+  const shown = (file) => path.relative(process.cwd(), file) || file;
 
-  const s = spinner();
-  try {
-    s.start(pc.dim("🔄 Syncing origin"));
-    sh("git fetch origin main");
-    s.message(pc.dim("📦 Installing deps"));
-    sh(`${PM} install`);
-
-    const hasBuild =
-      sh(
-        `node -p "require('./package.json').scripts?.build ? 'yes' : 'no'"`,
-        true
-      ) === "yes";
-
-    if (hasBuild) {
-      s.message(pc.dim("🛠️  Building project"));
-      sh(`${PM} run build`);
+  // Removes an Otto hook and puts back the one it chained to
+  const remove = (name) => {
+    const file = path.join(dir, name);
+    if (!isOttoHook(file)) return false;
+    const chained = fs.existsSync(`${file}.otto-chained`);
+    if (plan.active) plan.add(`Remove ${shown(file)}${chained ? `, restore ${name}.otto-chained` : ""}`);
+    else {
+      fs.rmSync(file);
+      if (chained) fs.renameSync(`${file}.otto-chained`, file);
     }
+    return true;
+  };
 
-    s.message(pc.dim("📝 Staging files"));
-    sh("git add .");
-    s.stop(pc.green("✔ Build Pipeline Success"));
-  } catch (e) {
-    s.stop(pc.red("✖ Pipeline Failed"));
-    note(e.message, "Error");
-    return;
+  if (opts.action === "uninstall") {
+    const removed = Object.keys(HOOKS).filter(remove);
+    if (!plan.active)
+      ui.note(removed.length ? `Removed ${removed.join(", ")}` : "No Otto hooks installed.", "🪝 Hooks");
+    return { ok: true, dir, removed };
   }
 
-  let commitInfo = { msg: "Manual/No Commit", desc: "No changes" };
-  const diff = git.rawDiff();
+  // core.hooksPath can point at a file such as /dev/null to turn hooks off
+  const isDirOrCreatable = (p) =>
+    fs.existsSync(p) ? fs.statSync(p).isDirectory() : isDirOrCreatable(path.dirname(p));
+  if (!isDirOrCreatable(dir))
+    return ui.fail(
+      "usage",
+      `Git's hooks path ${dir} isn't a directory (core.hooksPath is ${
+        sh(["git", "config", "core.hooksPath"], true) || "not set"
+      }). Point core.hooksPath at a directory or unset it, then install again.`
+    );
 
-  if (diff) {
-    try {
-      const ai = await generateCommit(diff);
-      note(pc.italic(wrap(ai.desc, 60)), "📋 AI Summary");
+  let commitMsg = opts.commitMsg;
+  if (commitMsg === undefined && !ui.headless) {
+    commitMsg = await confirm({
+      message: "Also check messages with a commit-msg hook?",
+      initialValue: false,
+    });
+    if (isCancel(commitMsg)) return;
+  }
+  const names = ["prepare-commit-msg", ...(commitMsg ? ["commit-msg"] : [])];
+  // Reinstalling without the check drops one installed earlier
+  if (commitMsg === false) remove("commit-msg");
 
-      const msg = await text({
-        message: "Commit Message",
-        initialValue: ai.msg,
-      });
-      if (isCancel(msg)) return;
+  const installed = [];
+  const chained = [];
+  for (const name of names) {
+    const file = path.join(dir, name);
+    const existing = fs.existsSync(file) && !isOttoHook(file);
+    if (existing && fs.existsSync(`${file}.otto-chained`))
+      return ui.fail("hooks", `${shown(file)}.otto-chained already exists. Move it out of the way first.`);
 
-      sh(`git commit -m "${String(msg).replace(/"/g, '\\"')}"`);
-      console.log(pc.green("✔ Committed"));
-      commitInfo = { msg: String(msg), desc: ai.desc };
-    } catch (e) {
-      note("AI Generation failed or commit aborted", "⚠ warning");
+    if (plan.active)
+      plan.add(
+        existing ? `Move ${shown(file)} to ${name}.otto-chained, write ${shown(file)}` : `Write ${shown(file)}`,
+        hookScript(name)
+      );
+    else {
+      fs.mkdirSync(dir, { recursive: true });
+      if (existing) fs.renameSync(file, `${file}.otto-chained`);
+      fs.writeFileSync(file, hookScript(name));
+      fs.chmodSync(file, 0o755);
     }
-  } else {
-    note("No changes to commit", "ℹ Skip");
+    installed.push(name);
+    if (existing) chained.push(name);
   }
 
-  const rb = spinner();
-  const startMsg =
-    config.type !== "none"
-      ? `🔖 Bumping ${config.type}...`
-      : "🚀 Preparing push...";
-  rb.start(pc.blue(startMsg));
-
-  try {
-    if (config.type !== "none") {
-      sh(`${PM} version ${config.type}`);
-    }
+  if (!plan.active)
+    ui.note(
+      installed.map((n) => `${n}: ${HOOKS[n]}${chained.includes(n) ? " (runs your existing hook first)" : ""}`).join("\n") +
+        pc.dim(`\n\nin ${shown(dir)}`),
+      "🪝 Hooks installed"
+    );
+  return { ok: true, dir, installed, chained };
+}
 
-    rb.message(pc.blue("🚀 Pushing to origin"));
-    const cmd =
-      config.push === "force"
-        ? "git push origin HEAD --force --tags"
-        : "git push origin HEAD --tags";
-    sh(cmd);
+// Exact-match branch globs: release/* matches release/1.2, not feat/release
+const branchGlob = (glob) =>
+  new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
 
-    await logToSheet({
-      user: git.user(),
-      branch: git.branch(),
-      type: String(config.type),
-      message: commitInfo.msg,
-      description: commitInfo.desc,
-    });
+// Local branches `branch prune` offers to delete, each with the reasons why.
+// The current branch, the default branch and `branches.protected` never are.
+function pruneCandidates({ merged = true, gone = true, stale = cfg.branches.staleDays } = {}) {
+  const main = git.defaultBranch();
+  const keep = [git.branch(), git.defaultBranchName(), ...cfg.branches.protected].map(branchGlob);
+  const mergedInto = new Set(
+    sh(["git", "branch", "--format=%(refname:short)", "--merged", main], true)
+      .split("\n")
+      .filter(Boolean)
+  );
+  const days = (b) => Math.floor((Date.now() - b.date) / 86400000);
 
-    rb.stop(pc.green("✔ Deployed"));
-  } catch {
-    rb.stop(pc.red("✖ Push Failed. Rolling back"));
-    try {
-      if (config.type !== "none") {
-        const tag = sh("git describe --tags --abbrev=0", true);
-        if (tag) sh(`git tag -d ${tag}`);
-      }
-      sh("git reset --soft HEAD~1");
-      note("Tag deleted & commit reset.", "✅ Rollback");
-    } catch {
-      /* ignore */
-    }
-  }
+  return git
+    .branches()
+    .filter((b) => !b.remote && !keep.some((re) => re.test(b.name)))
+    .map((b) => {
+      const isMerged = mergedInto.has(b.name);
+      const why = [
+        merged && isMerged && `merged into ${main}`,
+        gone && b.gone && "upstream gone",
+        stale && days(b) >= stale && `no commits for ${days(b)} days`,
+      ].filter(Boolean);
+      // Where it lives on cfg.remote, if anywhere
+      const tracked = !b.gone && b.upstream?.startsWith(`${cfg.remote}/`) && b.upstream;
+      const twin = git.resolve(`${cfg.remote}/${b.name}`) && `${cfg.remote}/${b.name}`;
+      const onRemote = (tracked || twin || "").slice(cfg.remote.length + 1) || null;
+      return {
+        ...b,
+        merged: isMerged,
+        why,
+        onRemote: onRemote && !keep.some((re) => re.test(onRemote)) ? onRemote : null,
+      };
+    })
+    .filter((b) => b.why.length);
 }
 
-async function flowBranch() {
-  if (!git.isRepo()) {
-    note("Not a git repository.", "Error");
-    return;
-  }
-
-  const branches = sh('git branch --format="%(refname:short)"', true)
-    .split("\n")
-    .map((b) => b.trim())
-    .filter(Boolean);
+async function flowPrune(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
 
-  const curr = git.branch();
+  const staleDays = opts.stale === true ? cfg.branches.staleDays : Number(opts.stale);
+  if (opts.stale !== undefined && !(staleDays > 0))
+    return ui.fail("usage", `--stale needs a number of days, got "${opts.stale}"`);
+  const any = opts.merged || opts.gone || opts.stale !== undefined;
 
-  const action = await select({
-    message: "Branch Manager",
-    options: [
-      { value: "switch", label: "🔀 Switch", hint: "Auto-Stash & Switch" },
-      { value: "create", label: "✨ Create", hint: "From current" },
-      { value: "update", label: "🔄 Update", hint: "Pull main into current" },
-      { value: "pr", label: "🌐 Open PR", hint: "View on GitHub" },
-    ],
+  const s = ui.spinner();
+  s.start(pc.dim(`Fetching ${cfg.remote}`));
+  // Pruning the remote-tracking refs is what marks upstreams as gone
+  sh(["git", "fetch", "--prune", "--quiet", cfg.remote], true);
+  const candidates = pruneCandidates({
+    merged: !any || !!opts.merged,
+    gone: !any || !!opts.gone,
+    stale: any ? (opts.stale !== undefined ? staleDays : null) : cfg.branches.staleDays,
   });
+  s.stop(pc.dim(`${candidates.length} branch(es) to clean up`));
 
-  if (isCancel(action)) return;
+  if (!candidates.length) {
+    ui.note("No merged, gone or stale branches.", "✨ Tidy");
+    return { ok: true, deleted: [], skipped: [] };
+  }
 
-  if (action === "switch") {
-    const target = await select({
-      message: "Select Branch",
-      options: branches
-        .filter((b) => b !== curr)
-        .map((b) => ({ value: b, label: b })),
+  let picked = candidates;
+  let remote = !!opts.deleteRemote;
+  if (ui.headless) {
+    picked = candidates.filter((b) => b.merged || opts.force);
+    const unmerged = candidates.filter((b) => !picked.includes(b));
+    if (unmerged.length)
+      ui.note(
+        unmerged.map((b) => `${b.name} (${b.why.join(", ")})`).join("\n"),
+        "⚠ Kept: not merged, pass --force to delete"
+      );
+  } else {
+    const names = await multiselect({
+      message: "Branches to delete",
+      options: candidates.map((b) => ({
+        value: b.name,
+        label: b.merged ? b.name : pc.yellow(b.name),
+        hint: [...b.why, !b.merged && "unmerged", b.onRemote && `also on ${cfg.remote}`]
+          .filter(Boolean)
+          .join(" · "),
+      })),
+      initialValues: candidates.filter((b) => b.merged).map((b) => b.name),
+      required: false,
     });
-    if (isCancel(target)) return;
+    if (isCancel(names)) return;
+    picked = candidates.filter((b) => names.includes(b.name));
+    if (!picked.length) return { ok: true, deleted: [], skipped: [] };
 
-    const s = spinner();
-    s.start(pc.dim("Switching branches"));
-    const stashed = git.stash();
+    const unmerged = picked.filter((b) => !b.merged);
+    if (unmerged.length && !plan.active) {
+      const go = await confirm({
+        message: `${unmerged.length} of these have commits that aren't in ${git.defaultBranch()}. Delete anyway?`,
+        initialValue: false,
+      });
+      if (!go || isCancel(go)) return;
+    }
+    const remoteCount = picked.filter((b) => b.onRemote).length;
+    if (remoteCount && !opts.deleteRemote) {
+      remote = await confirm({
+        message: `Also delete ${remoteCount} of them on ${cfg.remote}?`,
+        initialValue: false,
+      });
+      if (isCancel(remote)) return;
+    }
+  }
 
+  const deleted = [];
+  const errors = [];
+  for (const b of picked) {
+    const commit = git.resolve(`refs/heads/${b.name}`);
     try {
-      sh(`git checkout ${target}`);
-      s.message(pc.dim(`Switched to ${target}`));
-    } catch {
-      s.stop(pc.red("✖ Checkout Failed"));
-      return;
+      mutate(["git", "branch", "-D", b.name]);
+      deleted.push({ name: b.name, commit, remote: null });
+    } catch (e) {
+      errors.push(`${b.name}: ${e.message}`);
     }
+  }
 
-    if (stashed) {
-      s.message(pc.dim("Restoring changes"));
-      if (!git.pop()) {
-        s.stop(pc.yellow("⚠ Switched, but stash pop had conflicts."));
-        note("Run 'git stash pop' manually to resolve.", "Conflict Alert");
-        return;
-      }
+  const onRemote = remote ? picked.filter((b) => b.onRemote && deleted.some((d) => d.name === b.name)) : [];
+  if (onRemote.length) {
+    try {
+      mutate(["git", "push", cfg.remote, "--delete", ...onRemote.map((b) => b.onRemote)]);
+      for (const b of onRemote)
+        deleted.find((d) => d.name === b.name).remote = `${cfg.remote}/${b.onRemote}`;
+    } catch (e) {
+      errors.push(`${cfg.remote}: ${e.message}`);
     }
-    s.stop(pc.green(`✔ Switched to ${target}`));
   }
 
-  if (action === "update") {
-    const s = spinner();
-    s.start(pc.dim("Fetching main"));
+  if (errors.length) {
+    if (ui.headless) throw fail("branch", errors.join("\n"));
+    ui.note(errors.join("\n"), "⚠ Some deletes failed");
+  }
+  if (!plan.active && deleted.length)
+    ui.note(
+      deleted
+        .map((d) => `${d.name} ${pc.dim(`(was ${d.commit.slice(0, 7)})`)}${d.remote ? `, ${d.remote}` : ""}`)
+        .join("\n") + pc.dim("\n\nRestore one with: git branch <name> <hash>"),
+      "🧹 Deleted"
+    );
+  return {
+    ok: true,
+    deleted,
+    skipped: candidates.filter((b) => !picked.includes(b)).map((b) => b.name),
+  };
+}
+
+async function flowPr(opts = {}) {
+  if (!git.isRepo()) return ui.fail("repo", "Not a git repository.");
+  const url = git.remoteUrl();
+  const remote = parseRemote(url);
+  if (!remote)
+    return ui.fail("pr", `Can't tell which host remote "${cfg.remote}" is on (${url || "no URL"}).`);
+  const host = prHost(remote);
+
+  const head = git.branch();
+  const base = opts.base || git.defaultBranchName();
+  if (head === base || /^(detached@|unborn$)/.test(head))
+    return ui.fail("usage", `Check out the branch to open a PR for (currently on ${head}).`);
+
+  // The host can only see pushed commits
+  if (git.resolve(`${cfg.remote}/${head}`) !== git.resolve("HEAD")) {
+    if (!ui.headless && !plan.active) {
+      const go = await confirm({ message: `Push ${head} to ${cfg.remote} first?` });
+      if (!go || isCancel(go)) return;
+    }
     try {
-      sh("git fetch origin main");
-      s.message(pc.dim("Pulling changes"));
-      sh("git pull origin main");
-      s.stop(pc.green("✔ Branch updated from main"));
+      mutate(["git", "push", "-u", cfg.remote, "HEAD"]);
     } catch (e) {
-      s.stop(pc.red("✖ Update Failed"));
-      note(e.message, "Git Error");
+      return ui.fail("push", e.message);
     }
   }
 
-  if (action === "create") {
-    const name = await text({
-      message: "Branch Name",
-      placeholder: "feat/new-thing",
-    });
-    if (isCancel(name)) return;
+  const baseRef = git.resolve(`${cfg.remote}/${base}`) ? `${cfg.remote}/${base}` : base;
+  if (!git.resolve(baseRef)) return ui.fail("usage", `Unknown base branch: ${base}`);
+  const commits = git.commits(baseRef, "HEAD");
+  if (!commits.length) return ui.fail("pr", `${head} has no commits that ${base} doesn't.`);
+
+  let drafted = draftPr(commits, head);
+  if (!(opts.title && opts.body !== undefined) && opts.ai !== false) {
     try {
-      sh(`git checkout -b ${name}`);
-      note(`Checked out to ${name}`, "✔ Created");
+      drafted = await generatePr(commits, sh(["git", "diff", "--stat", `${baseRef}...HEAD`], true));
     } catch (e) {
-      note(e.message, "✖ Failed");
+      if (ui.headless) throw fail("ai", e.message);
+      ui.note(`${e.message}\nUsing the commit subjects instead.`, "⚠ AI Failed");
     }
   }
 
-  if (action === "pr") {
-    const url = sh("git config --get remote.origin.url", true)
-      .replace(".git", "")
-      .replace(":", "/")
-      .replace("git@", "https://");
-    const prUrl = `${url}/pull/new/${curr}`;
-    sh(
-      process.platform === "darwin" ? `open ${prUrl}` : `start ${prUrl}`,
-      true
-    );
-    note("Opened PR in browser", "✔ PR");
+  const issue = issueFromBranch(head);
+  let title = opts.title || drafted.title;
+  let body = opts.body ?? drafted.body;
+  if (issue && !`${title}\n${body}`.includes(issue)) body = `${body}\n\nRefs: ${issue}`.trim();
+
+  if (!ui.headless) {
+    title = await text({
+      message: "PR title",
+      initialValue: title,
+      validate: (v) => (v.trim() ? undefined : "The title can't be empty"),
+    });
+    if (isCancel(title)) return;
+    ui.note(body || pc.dim("(empty)"), "📄 PR description");
+  }
+
+  const pr = { title: String(title).trim(), body, head, base, draft: !!opts.draft };
+  const compare = host.compareUrl(remote, pr);
+  const token = host.create && opts.api !== false ? prToken(host) : null;
+
+  let how = token ? "api" : "browser";
+  if (!ui.headless) {
+    how = await select({
+      message: `Where to? (${host.label})`,
+      options: [
+        ...(token
+          ? [{ value: "api", label: `🚀 Create ${pr.draft ? "draft " : ""}PR`, hint: `via the ${host.label} API` }]
+          : []),
+        { value: "browser", label: "🌐 Open in browser", hint: "prefilled" },
+      ],
+    });
+    if (isCancel(how)) return;
+  }
+
+  if (how === "api") {
+    if (plan.active) {
+      plan.add(`POST ${host.endpoint(remote)}`, `${pr.title}\n${head} → ${base}${pr.draft ? " (draft)" : ""}`);
+      return { ok: true, created: false, url: null, title: pr.title, head, base };
+    }
+    const s = ui.spinner();
+    s.start(pc.blue(`Creating the PR on ${host.label}`));
+    try {
+      const made = await host.create(remote, pr, token);
+      s.stop(pc.green(`✔ PR ${made.number ? `#${made.number} ` : ""}created`));
+      ui.log(made.url);
+      return { ok: true, created: true, ...made, title: pr.title, head, base };
+    } catch (e) {
+      s.stop(pc.red("✖ Creating the PR failed"));
+      if (ui.headless) throw fail("pr", `${e.message}\nOpen it by hand: ${compare}`);
+      ui.note(e.message, "⚠ API Error");
+    }
   }
+
+  if (!ui.headless) {
+    mutate(openCmd(compare), { ignore: true });
+    ui.note(compare, "🌐 Opened in browser");
+  } else ui.log(compare);
+  return { ok: true, created: false, url: compare, title: pr.title, head, base };
 }
 
 // --- Main Loop ---
 async function mainMenu() {
   ui.banner();
   await checkForUpdates();
+  await retryReleaseLogs();
 
   while (true) {
     const op = await select({
       message: "What's the plan?",
       options: [
         { value: "release", label: "🚀 Release", hint: "Build, Tag, Push" },
+        { value: "commit", label: "📝 Commit", hint: "AI message for staged changes" },
         { value: "branch", label: "🌿 Branch", hint: "Switch, Update, PR" },
         { value: "stash", label: "📦 Stash", hint: "Save & Pop Changes" },
         { value: "undo", label: "⏪ Rollback", hint: "Rollback Commits" },
@@ -756,6 +5014,7 @@ async function mainMenu() {
 
     try {
       if (op === "release") await flowRelease();
+      if (op === "commit") await flowCommit();
       if (op === "branch") await flowBranch();
       if (op === "stash") await flowStash();
       if (op === "undo") await flowUndo();
@@ -770,40 +5029,359 @@ async function mainMenu() {
 
 // --- Entry Point ---
 const program = new Command();
-program.name("otto").description("AI-powered Release CLI").version("3.1.0");
+program
+  .name("otto")
+  .description("AI-powered Release CLI")
+  .version("3.1.0")
+  .option("-c, --config <path>", "config file (default: nearest .ottorc.json / otto.config.js)")
+  .option("--remote <name>", "git remote to use")
+  .option("--default-branch <name>", "default branch to release from")
+  .addOption(
+    new Option("--pm <name>", "package manager").choices(PACKAGE_MANAGERS)
+  )
+  .hook("preAction", async (_, command) => {
+    const opts = { ...program.opts(), ...command.opts() };
+    // So a bad config is reported like any other --yes / --json failure
+    ui.headless = Boolean(opts.yes || opts.json);
+    ui.json = Boolean(opts.json);
+    // Hooks load it themselves: a bad config must not block commits
+    if (command.parent?.name() === "hooks" && command.name() === "run") return;
+    try {
+      await loadConfig(opts);
+    } catch (e) {
+      ui.die(e.message, e.stage);
+    }
+  })
+  .action(mainMenu);
 
-program.command("release").action(async () => {
-  ui.banner();
-  await checkForUpdates();
-  await flowRelease();
-});
+// --yes / --json switch a command to non-interactive mode: no banner, no
+// update check, no prompts; the outcome is printed and sets the exit code.
+async function runCommand(flow, opts = {}) {
+  ui.headless = Boolean(opts.yes || opts.json);
+  ui.json = Boolean(opts.json);
+  plan.active = Boolean(opts.dryRun);
 
-program.command("branch").action(async () => {
-  ui.banner();
-  await checkForUpdates();
-  await flowBranch();
-});
+  if (!ui.headless) {
+    ui.banner();
+    await checkForUpdates();
+    await retryReleaseLogs();
+    await flow(opts);
+    if (plan.active) plan.print();
+    return;
+  }
 
-program.command("stash").action(async () => {
-  ui.banner();
-  await checkForUpdates();
-  await flowStash();
-});
+  try {
+    await retryReleaseLogs();
+    const result = await flow(opts);
+    if (result && plan.active) {
+      if (ui.json) result.plan = plan.steps;
+      else plan.print();
+    }
+    ui.result(result || { ok: false, stage: "unexpected", error: "Aborted" });
+    if (!result) process.exit(1);
+  } catch (e) {
+    ui.die(e.message, e.stage);
+  }
+}
 
-program.command("undo").action(async () => {
-  ui.banner();
-  await checkForUpdates();
-  await flowUndo();
-});
+const headlessOptions = (cmd) =>
+  cmd
+    .option("-y, --yes", "skip all prompts (non-interactive)")
+    .option("--json", "print a JSON result (implies --yes)");
 
-program.command("sync").action(async () => {
-  ui.banner();
-  await checkForUpdates();
-  await flowSync();
-});
+const dryRunOption = (cmd) =>
+  cmd.option("--dry-run", "print the plan without changing anything");
+
+headlessOptions(
+  dryRunOption(program.command("release"))
+    .description("Build, tag and push a release")
+    .addOption(
+      new Option("-t, --type <type>", "release type").choices([
+        "auto",
+        ...RELEASE_TYPES,
+      ])
+    )
+    .addOption(
+      new Option("-p, --push <mode>", "push mode").choices(["safe", "force"])
+    )
+    .option("-m, --message <msg>", "commit message (skips the AI prompt)")
+    .option("--no-ai", "don't generate a commit message with AI")
+    .option("--no-changelog", "don't update CHANGELOG.md")
+    .option("--preid <id>", "prerelease identifier (alpha, beta, rc)")
+    .option("--publish", "publish to the npm registry after pushing")
+    .option("--dist-tag <channel>", "npm dist-tag (default: latest or the preid)")
+    .option("--registry <url>", "npm registry to publish to")
+    .option("--packages <names>", "workspace packages to release, comma-separated")
+    .option("--lockstep", "give all released workspace packages one version")
+    .option("--no-workspace", "release the root package only")
+    .addOption(new Option("--resume", "continue an unfinished release").conflicts("abort"))
+    .option("--abort", "roll an unfinished release back")
+    .addOption(
+      new Option("--version-source <source>", "where the version lives").choices([
+        "auto",
+        ...Object.keys(VERSION_SOURCES),
+      ])
+    )
+).action((opts) => runCommand(flowRelease, opts));
+
+headlessOptions(
+  dryRunOption(program.command("commit"))
+    .description("Commit staged changes with an AI-written message")
+    .option("-m, --message <msg>", "commit subject (skips the AI prompt)")
+    .option("--body <text>", "commit body (default: the AI description)")
+    .option("--no-body", "subject and footer only")
+    .option("--issue <ref>", "issue for the Refs: footer (default: from the branch name)")
+    .option("--no-issue", "don't add a Refs: footer")
+    .option("-n, --suggestions <count>", "how many AI messages to choose from", "1")
+    .option("--no-ai", "don't generate a commit message with AI")
+    .option("-a, --all", "pick files to stage first (everything but staging.ignore when headless)")
+    .option("--amend", "rewrite the last commit with the staged changes")
+    .option("--force", "amend even if the last commit was already pushed")
+).action((opts) => runCommand(flowCommit, opts));
+
+program
+  .command("changelog")
+  .description("Preview the changelog for a range of commits")
+  .option("--from <tag>", "start after this tag (default: previous tag)")
+  .option("--to <ref>", "end at this ref", "HEAD")
+  .action((opts) => {
+    if (!git.isRepo()) ui.die("Not a git repository.");
+    for (const ref of [opts.from, opts.to].filter(Boolean))
+      if (!git.resolve(ref)) ui.die(`Unknown ref: ${ref}`);
+    // When previewing a tag, start from the release tag before it
+    const isTag = sh(["git", "tag", "-l", "--", opts.to], true) === opts.to;
+    const from =
+      opts.from ||
+      releaseTag(isTag ? `${opts.to}^` : opts.to, { stable: isTag && !isPrerelease(opts.to) });
+    const title = isTag ? opts.to : "Unreleased";
+    process.stdout.write(renderChangelog(title, git.commits(from, opts.to)));
+  });
+
+program
+  .command("history")
+  .description("List past releases from tags, version commits and the release log")
+  .option("--since <date>", 'only releases since a date ("2026-01-31", "7d", "2 weeks ago")')
+  .option("--author <name>", "only releases by this author (substring)")
+  .addOption(
+    new Option("--type <type>", "only this kind of release").choices([
+      "major",
+      "minor",
+      "patch",
+      "prerelease",
+      "graduate",
+      "initial",
+    ])
+  )
+  .addOption(new Option("--json", "print JSON").conflicts("csv"))
+  .option("--csv", "print CSV")
+  .action((opts) => {
+    if (!git.isRepo()) ui.die("Not a git repository.", "repo");
+    const since = opts.since && parseSince(opts.since);
+    if (opts.since && !since) ui.die(`Invalid --since: ${opts.since}`, "usage");
+    const author = opts.author?.toLowerCase();
+
+    const releases = releaseHistory().filter(
+      (r) =>
+        (!since || new Date(r.date) >= since) &&
+        (!author || r.author.toLowerCase().includes(author)) &&
+        (!opts.type || r.type === opts.type)
+    );
+
+    if (opts.json) return console.log(JSON.stringify(releases, null, 2));
+    if (opts.csv)
+      return process.stdout.write(
+        toCsv(releases, ["version", "package", "tag", "date", "author", "type", "commit", "message", "description"])
+      );
+
+    if (!releases.length) return console.log(pc.dim("No releases found."));
+    const width = Math.max(...releases.map((r) => (r.tag || r.version).length));
+    const authors = Math.max(...releases.map((r) => r.author.length));
+    const indent = " ".repeat(width + 2);
+    for (const r of releases) {
+      console.log(
+        [
+          pc.cyan((r.tag || r.version).padEnd(width)),
+          pc.dim(r.date.slice(0, 10)),
+          r.type.padEnd(10),
+          pc.dim(r.author.padEnd(authors)),
+          r.message,
+        ].join("  ")
+      );
+      if (r.description) console.log(pc.dim(wrap(r.description, 72).replace(/^/gm, indent)));
+    }
+  });
+
+headlessOptions(
+  dryRunOption(program.command("pr"))
+    .description("Open a pull request for the current branch")
+    .option("--base <branch>", "branch to merge into (default: the default branch)")
+    .option("--title <text>", "PR title (default: written by AI)")
+    .option("--body <text>", "PR description (default: written by AI)")
+    .option("--draft", "create a draft PR")
+    .option("--no-ai", "use the commit subjects instead of AI")
+    .option("--no-api", "only print or open the prefilled new-PR page")
+).action((opts) => runCommand(flowPr, opts));
+
+program
+  .command("lint-commits [range]")
+  .description("Check that commits are conventional commits (for CI)")
+  .addHelpText(
+    "after",
+    "\nrange: main..HEAD, or a single ref meaning <ref>..HEAD (default: since the last tag)"
+  )
+  .option("--json", "print JSON")
+  .action((range, opts) => {
+    if (!git.isRepo()) ui.die("Not a git repository.", "repo");
+    const since = releaseTag();
+    const spec = range
+      ? range.includes("..") ? range : `${range}..HEAD`
+      : since ? `${since}..HEAD` : "HEAD";
+    const res = run(["git", "log", "--no-merges", "--format=%h%x1f%an%x1f%B%x1e", "--end-of-options", spec]);
+    if (res.code !== 0) ui.die(`Invalid range: ${spec}`, "usage");
+
+    const checked = res.stdout
+      .split("\x1e")
+      .map((rec) => rec.trim())
+      .filter(Boolean)
+      .map((rec) => {
+        const [commit, author, message = ""] = rec.split("\x1f");
+        return { commit, author, subject: message.split("\n")[0], message };
+      })
+      .filter((c) => !GIT_MESSAGES.test(c.subject) && !isVersionCommit(c));
+    const failed = checked
+      .map(({ message, ...c }) => ({ ...c, problems: lintCommit(message) }))
+      .filter((c) => c.problems.length);
+
+    if (opts.json)
+      console.log(
+        JSON.stringify({ ok: !failed.length, range: spec, checked: checked.length, failed }, null, 2)
+      );
+    else {
+      for (const c of failed) {
+        console.log(`${pc.red("✖")} ${pc.cyan(c.commit)} ${c.subject} ${pc.dim(`(${c.author})`)}`);
+        for (const p of c.problems) console.log(pc.dim(`    ${p}`));
+      }
+      console.log(
+        failed.length
+          ? pc.red(`${failed.length} of ${checked.length} commit(s) in ${spec} need fixing`)
+          : pc.green(`✔ ${checked.length} commit(s) in ${spec} look good`)
+      );
+    }
+    if (failed.length) process.exit(EXIT.lint);
+  });
+
+const hooksCommand = program
+  .command("hooks")
+  .description("Use Otto from plain git commit through git hooks");
+
+headlessOptions(
+  dryRunOption(hooksCommand.command("install"))
+    .description("Install the prepare-commit-msg (and commit-msg) hook")
+    .option("--commit-msg", "also install the commit-msg hook that checks messages")
+    .option("--no-commit-msg", "only install prepare-commit-msg")
+).action((opts) => runCommand(flowHooks, { ...opts, action: "install" }));
+
+headlessOptions(
+  dryRunOption(hooksCommand.command("uninstall")).description(
+    "Remove Otto's hooks and restore the ones they chained"
+  )
+).action((opts) => runCommand(flowHooks, { ...opts, action: "uninstall" }));
+
+// What the installed hooks call
+hooksCommand
+  .command("run <hook> [args...]", { hidden: true })
+  .action(async (hook, args) => process.exit(await runHook(hook, args)));
+
+headlessOptions(
+  dryRunOption(program.command("resolve"))
+    .description("Suggest AI resolutions for merge conflicts (never commits)")
+    .argument("[files...]", "conflicted files (default: all)")
+    .option("--accept-all", "write and stage every suggestion without review")
+).action((files, opts) => runCommand(flowResolve, { ...opts, files }));
+
+const branchCommand = dryRunOption(
+  program.command("branch").description("Switch, create, update branches")
+).action((opts) => runCommand(flowBranch, opts));
+
+headlessOptions(
+  dryRunOption(branchCommand.command("update"))
+    .description("Merge or rebase the current branch onto the default branch")
+    .addOption(new Option("--rebase", "rebase instead of merging").conflicts("merge"))
+    .option("--merge", "merge (the default with --yes)")
+).action((opts, cmd) => runCommand(flowUpdate, cmd.optsWithGlobals()));
+
+headlessOptions(
+  dryRunOption(branchCommand.command("prune"))
+    .description("Delete merged, gone and stale local branches")
+    .option("--merged", "only branches merged into the default branch")
+    .option("--gone", "only branches whose upstream was deleted")
+    .option("--stale [days]", "only branches without commits for this long (default: branches.staleDays)")
+    .option("--delete-remote", "delete them on the remote too")
+    .option("--force", "with --yes: also delete branches that aren't merged")
+  // `branch` has --dry-run too and takes it wherever it appears
+).action((opts, cmd) => runCommand(flowPrune, cmd.optsWithGlobals()));
+
+headlessOptions(
+  dryRunOption(program.command("stash"))
+    .description("Save, apply, preview and manage stashes")
+    .option("--save [message]", "stash current changes")
+    .option("--files <paths...>", "with --save: only these files")
+    .option("-u, --include-untracked", "with --save: include untracked files")
+    .option("--pop [ref]", "pop a stash (latest by default)")
+    .option("--apply [ref]", "apply a stash without dropping it")
+    .option("--show [ref]", "print a stash's stat and diff")
+    .option("--rename <message>", "change the message of a stash (--ref); it moves to stash@{0}")
+    .option("--branch <name>", "create a branch from a stash (--ref) and apply it")
+    .option("--ref <ref>", "stash for --rename and --branch (latest by default)")
+    .option("--drop [ref]", "delete a stash")
+    .option("--clear", "delete all stashes")
+).action((opts) => runCommand(flowStash, opts));
+
+headlessOptions(
+  dryRunOption(program.command("undo"))
+    .description("Reset the branch to an earlier commit")
+    .option("--to <commit>", "commit, backup ref or reflog entry (HEAD@{1}) to reset to")
+    .option("--recover", "pick a backup or reflog entry to restore")
+    .option("--force", "reset even if it drops commits that were already pushed")
+    .addOption(
+      new Option("--mode <mode>", "reset mode").choices([
+        "soft",
+        "mixed",
+        "hard",
+      ])
+    )
+).action((opts) => runCommand(flowUndo, opts));
+
+headlessOptions(
+  program.command("sync").description("Fetch & pull the current branch")
+).action((opts) => runCommand(flowSync, opts));
+
+program
+  .command("config")
+  .description("Print the effective configuration")
+  .action(() => {
+    // Sink secrets, header values (tokens) and URL paths (a Slack webhook URL
+    // is the credential) stay out of terminals and CI logs
+    const hide = (obj) => Object.fromEntries(Object.keys(obj).map((key) => [key, "***"]));
+    const hideUrl = (url) => {
+      try {
+        return `${new URL(url).origin}/***`;
+      } catch {
+        return "***";
+      }
+    };
+    const sinks = cfg.logging.sinks.map((sink) => ({
+      ...sink,
+      ...(sink.url && { url: hideUrl(sink.url) }),
+      ...(sink.secret && { secret: "***" }),
+      ...(sink.headers && { headers: hide(sink.headers) }),
+    }));
+    try {
+      const shown = { ...cfg, logging: { ...cfg.logging, sinks }, ai: aiConfig() };
+      console.log(JSON.stringify(shown, null, 2));
+    } catch (e) {
+      ui.die(e.message, e.stage);
+    }
+  });
 
-if (!process.argv.slice(2).length) {
-  await mainMenu();
-} else {
-  program.parse(process.argv);
-}
\ No newline at end of file
+await program.parseAsync(process.argv);
\ No newline at end of file
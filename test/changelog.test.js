@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { git, otto, repo } from "./helpers.js";
+
+const commit = (dir, subject) => git(dir, "commit", "-q", "--allow-empty", "-m", subject);
+
+// v1.0.0, then a prerelease, a workspace tag and the stable release
+function tagged() {
+  const dir = repo();
+  git(dir, "tag", "v1.0.0");
+  commit(dir, "feat: before the rc");
+  git(dir, "tag", "v1.1.0-rc.0");
+  commit(dir, "fix: after the rc");
+  git(dir, "tag", "pkg@2.0.0");
+  commit(dir, "fix: after the workspace tag");
+  git(dir, "tag", "v1.1.0");
+  return dir;
+}
+
+test("changelog --to a stable tag starts at the previous stable tag", async () => {
+  const { code, out } = await otto(tagged(), ["changelog", "--to", "v1.1.0"]);
+  assert.equal(code, 0, out);
+  assert.match(out, /^## v1\.1\.0/m);
+  for (const subject of ["before the rc", "after the rc", "after the workspace tag"])
+    assert.match(out, new RegExp(`- ${subject} \\(`));
+});
+
+test("changelog --to a prerelease tag starts at the tag before it", async () => {
+  const { out } = await otto(tagged(), ["changelog", "--to", "v1.1.0-rc.0"]);
+  assert.match(out, /- before the rc \(/);
+  assert.doesNotMatch(out, /after the rc/);
+});
+
+test("unreleased changes skip tags that aren't releases", async () => {
+  const dir = tagged();
+  commit(dir, "feat: unreleased");
+  git(dir, "tag", "pkg@2.1.0");
+  commit(dir, "fix: also unreleased");
+  const { out } = await otto(dir, ["changelog"]);
+  assert.match(out, /^## Unreleased/m);
+  assert.match(out, /- unreleased \(/);
+  assert.match(out, /- also unreleased \(/);
+  assert.doesNotMatch(out, /after the workspace tag/);
+});
+
+test("lint-commits checks everything since the last release tag", async () => {
+  const dir = tagged();
+  commit(dir, "Bad message.");
+  git(dir, "tag", "pkg@2.1.0");
+  commit(dir, "fix: fine");
+  const { code, out } = await otto(dir, ["lint-commits", "--json"]);
+  assert.equal(code, 13, out);
+  assert.match(out, /Bad message\./);
+});
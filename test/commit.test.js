@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { git, otto, repo } from "./helpers.js";
+
+test("commit falls back to a typed message when the AI isn't set up", async () => {
+  const dir = repo();
+  const { out } = await otto(
+    dir,
+    ["commit", "--no-issue"],
+    [
+      ["Subject", "fix: typed by hand\r"],
+      ["Body", "\r"],
+      ["Commit?", "\r"],
+    ]
+  );
+  assert.match(out, /AI Failed/);
+  assert.match(out, /Missing OPENAI_API_KEY/);
+  assert.equal(git(dir, "log", "-1", "--format=%s"), "fix: typed by hand");
+});
+
+test("commit --all stages non-ASCII and renamed paths next to staging.ignore", async () => {
+  const dir = repo();
+  git(dir, "mv", "package.json", "package renamed.json");
+  fs.writeFileSync(path.join(dir, ".ottorc.json"), '{"staging":{"ignore":["*.log"]}}\n');
+  fs.writeFileSync(path.join(dir, "café.txt"), "x\n");
+  fs.writeFileSync(path.join(dir, "debug.log"), "x\n");
+  const { code, out } = await otto(dir, ["commit", "--all", "--yes", "-m", "fix: add café"]);
+  assert.equal(code, 0, out);
+  const files = git(dir, "-c", "core.quotePath=false", "show", "--name-status", "--format=", "HEAD");
+  assert.match(files, /^A\tcafé\.txt$/m);
+  assert.match(files, /^R100\tpackage\.json\tpackage renamed\.json$/m);
+  assert.doesNotMatch(files, /debug\.log/);
+});
+
+test("the Refs footer comes from issue numbers in the branch, not dates", async () => {
+  const footers = {
+    "feat/ABC-123-login": "Refs: ABC-123",
+    "fix/42-crash": "Refs: #42",
+    "release/2024-q1": "",
+    "release/2024-01-15": "",
+  };
+  for (const [branch, footer] of Object.entries(footers)) {
+    const dir = repo(branch);
+    const { code, out } = await otto(dir, ["commit", "--yes", "-m", "fix: x", "--no-body"]);
+    assert.equal(code, 0, out);
+    assert.equal(git(dir, "log", "-1", "--format=%b"), footer, branch);
+  }
+});
+
+test("commit --amend keeps the body's paragraphs and lists when it isn't edited", async () => {
+  const dir = repo("fix/42-crash");
+  const message = "fix: crash\n\nThe first paragraph\nspans two lines.\n\n- one\n- two\n\nRefs: #42";
+  git(dir, "commit", "-qm", message);
+  fs.writeFileSync(path.join(dir, "b.txt"), "b\n");
+  git(dir, "add", "b.txt");
+  const { code, out } = await otto(
+    dir,
+    ["commit", "--amend"],
+    [
+      ["Subject", "\r"],
+      ["Body", "\r"],
+      ["Amend the commit?", "\r"],
+    ]
+  );
+  assert.equal(code, 0, out);
+  assert.equal(git(dir, "log", "-1", "--format=%B"), message);
+  assert.equal(git(dir, "show", "--name-only", "--format=", "HEAD"), "a.txt\nb.txt");
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { otto, repo } from "./helpers.js";
+
+const withSinks = (sinks) => {
+  const dir = repo();
+  fs.writeFileSync(path.join(dir, ".ottorc.json"), JSON.stringify({ logging: { sinks } }));
+  return dir;
+};
+
+test("a sink without a type is a config error", async () => {
+  const { code, out } = await otto(withSinks([{ url: "https://x.example" }]), ["lint-commits", "--json"]);
+  assert.equal(code, 2);
+  assert.match(out, /logging\.sinks\[0\]\.type: required/);
+});
+
+test("a sink with an unknown type is a config error", async () => {
+  const { code, out } = await otto(withSinks([{ type: "pager", url: "https://x.example" }]), [
+    "lint-commits",
+    "--json",
+  ]);
+  assert.equal(code, 2);
+  assert.match(out, /logging\.sinks\[0\]\.type: expected one of sheet, file, webhook, slack/);
+});
+
+test("config hides sink secrets, header values and URL paths", async () => {
+  const dir = withSinks([
+    {
+      type: "webhook",
+      url: "https://x.example/hook?token=abc",
+      secret: "s3cret",
+      headers: { Authorization: "Bearer abc" },
+    },
+    { type: "slack", url: "https://hooks.slack.com/services/T0/B0/XYZ" },
+    { type: "sheet", url: "https://script.google.com/macros/s/abc/exec" },
+    { type: "file", path: "releases.jsonl" },
+  ]);
+  const { code, out } = await otto(dir, ["config"]);
+  assert.equal(code, 0, out);
+  assert.deepEqual(JSON.parse(out).logging.sinks, [
+    { type: "webhook", url: "https://x.example/***", secret: "***", headers: { Authorization: "***" } },
+    { type: "slack", url: "https://hooks.slack.com/***" },
+    { type: "sheet", url: "https://script.google.com/***" },
+    { type: "file", path: "releases.jsonl" },
+  ]);
+});
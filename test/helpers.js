@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const OTTO = fileURLToPath(new URL("../index.js", import.meta.url));
+
+// No AI key and no hooks from the machine running the tests
+export const env = { ...process.env, GIT_CONFIG_NOSYSTEM: "1", GIT_CONFIG_GLOBAL: os.devNull };
+for (const key of [
+  "OPENAI_API_KEY",
+  "OPENAI_BASE_URL",
+  "ANTHROPIC_API_KEY",
+  "ANTHROPIC_BASE_URL",
+  "OLLAMA_HOST",
+  "OTTO_AI_PROVIDER",
+  "OTTO_AI_MODEL",
+  "GIT_CONFIG_COUNT",
+])
+  delete env[key];
+
+export const git = (cwd, ...args) => {
+  const res = spawnSync("git", args, { cwd, env, encoding: "utf8" });
+  assert.equal(res.status, 0, res.stderr);
+  return res.stdout.trim();
+};
+
+const dirs = [];
+process.on("exit", () => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A repo with one commit on `branch` and a staged file
+export function repo(branch = "main") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "otto-test-"));
+  dirs.push(dir);
+  git(dir, "init", "-q", "-b", branch);
+  git(dir, "config", "user.name", "Tester");
+  git(dir, "config", "user.email", "tester@example.com");
+  fs.writeFileSync(path.join(dir, "package.json"), '{"name":"demo","version":"1.0.0"}\n');
+  git(dir, "add", ".");
+  git(dir, "commit", "-qm", "chore: init");
+  fs.writeFileSync(path.join(dir, "a.txt"), "a\n");
+  git(dir, "add", "a.txt");
+  return dir;
+}
+
+// Gives `dir` a bare origin with its current branch pushed
+export function withOrigin(dir) {
+  const bare = fs.mkdtempSync(path.join(os.tmpdir(), "otto-origin-"));
+  dirs.push(bare);
+  git(bare, "init", "-q", "--bare");
+  git(dir, "remote", "add", "origin", bare);
+  git(dir, "push", "-q", "-u", "origin", "HEAD");
+  return bare;
+}
+
+// Runs Otto with piped stdin. Each answer is typed once its prompt shows up.
+// `out` has stdout and stderr interleaved, `stdout` only what a --json caller parses.
+export function otto(cwd, args, answers = [], extraEnv = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [OTTO, ...args], { cwd, env: { ...env, ...extraEnv } });
+    let out = "";
+    let stdout = "";
+    let seen = 0;
+    const onData = (chunk) => {
+      out += chunk;
+      const next = answers[0];
+      if (!next) return;
+      const at = out.indexOf(next[0], seen);
+      if (at === -1) return;
+      seen = at + next[0].length;
+      answers.shift();
+      child.stdin.write(next[1]);
+      if (!answers.length) child.stdin.end();
+    };
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    const timer = setTimeout(() => child.kill(), 20000);
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, out, stdout });
+    });
+  });
+}
+
+// A local server that answers every request with `status` and the JSON from
+// `respond(body)`, keeping each request it saw
+export async function serve(respond, status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const body = JSON.parse(raw);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(respond(body)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => server.close() };
+}
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { env, git, otto, repo } from "./helpers.js";
+
+// A repo with both hooks installed and `config` as its .ottorc.json
+async function hooked(config) {
+  const dir = repo();
+  const { code, out } = await otto(dir, ["hooks", "install", "--commit-msg", "--yes"]);
+  assert.equal(code, 0, out);
+  if (config) fs.writeFileSync(path.join(dir, ".ottorc.json"), JSON.stringify(config));
+  return dir;
+}
+
+const commit = (cwd, ...args) =>
+  spawnSync("git", ["commit", ...args], {
+    cwd,
+    encoding: "utf8",
+    // An editor that types the message, as a person would
+    env: { ...env, GIT_EDITOR: `f() { echo "fix: typed" > "$1"; }; f` },
+  });
+
+test("commit-msg rejects a message that fails lint", async () => {
+  const dir = await hooked();
+  const res = commit(dir, "-m", "bad message.");
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /Commit lint/);
+});
+
+test("an invalid config doesn't block commits", async () => {
+  const dir = await hooked({ remote: 42 });
+  const res = commit(dir, "-m", "bad message.");
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stderr, /otto: hook skipped \(Invalid config/);
+});
+
+test("an unknown AI provider doesn't block commits", async () => {
+  const dir = await hooked({ ai: { provider: "nope" } });
+  const res = commit(dir);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stderr, /Unknown AI provider "nope"/);
+  assert.equal(git(dir, "log", "-1", "--format=%s"), "fix: typed");
+});
+
+test("install fails clearly when core.hooksPath isn't a directory", async () => {
+  const dir = repo();
+  git(dir, "config", "core.hooksPath", "/dev/null");
+  const { code, out, stdout } = await otto(dir, ["hooks", "install", "--json"]);
+  assert.equal(code, 2, out);
+  const { stage, error } = JSON.parse(stdout);
+  assert.equal(stage, "usage");
+  assert.match(error, /hooks path \/dev\/null isn't a directory \(core\.hooksPath is \/dev\/null\)/);
+});
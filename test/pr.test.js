@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { git, otto, repo, serve, withOrigin } from "./helpers.js";
+
+test("pr refuses a file:// remote like a local path", async () => {
+  const dir = repo("feat/x");
+  git(dir, "commit", "-qm", "feat: x");
+  git(dir, "remote", "add", "origin", "file:///srv/r.git");
+  const { code, out } = await otto(dir, ["pr", "--no-ai", "--no-api", "--json"]);
+  assert.equal(code, 14);
+  assert.equal(JSON.parse(out).error, `Can't tell which host remote "origin" is on (file:///srv/r.git).`);
+});
+
+// A branch ahead of main on a remote that looks like `url`; pushes still go
+// to a local bare repo
+function branch(url) {
+  const dir = repo();
+  git(dir, "commit", "-qm", "feat: add a");
+  git(dir, "reset", "-q", "--hard", "HEAD~1");
+  const bare = withOrigin(dir);
+  git(dir, "remote", "set-url", "origin", url);
+  git(dir, "config", "remote.origin.pushurl", bare);
+  git(dir, "checkout", "-q", "-b", "feat/add-a", "HEAD@{1}");
+  return { dir, bare };
+}
+
+test("pr creates a GitHub pull request through the API", async () => {
+  const { dir, bare } = branch("git@github.com:o/r.git");
+  const server = await serve(() => ({ number: 7, html_url: "https://github.com/o/r/pull/7" }), 201);
+  let res;
+  try {
+    res = await otto(dir, ["pr", "--no-ai", "--json", "--draft"], [], {
+      OTTO_PR_API_URL: server.url,
+      GITHUB_TOKEN: "gh-test",
+    });
+  } finally {
+    server.close();
+  }
+  assert.equal(res.code, 0, res.out);
+  assert.deepEqual(JSON.parse(res.stdout), {
+    ok: true,
+    created: true,
+    url: "https://github.com/o/r/pull/7",
+    number: 7,
+    title: "feat: add a",
+    head: "feat/add-a",
+    base: "main",
+  });
+  assert.equal(git(bare, "rev-parse", "feat/add-a"), git(dir, "rev-parse", "HEAD"));
+  const [req] = server.requests;
+  assert.equal(req.method, "POST");
+  assert.equal(req.url, "/repos/o/r/pulls");
+  assert.equal(req.headers.authorization, "Bearer gh-test");
+  assert.equal(req.headers.accept, "application/vnd.github+json");
+  assert.deepEqual(req.body, {
+    title: "feat: add a",
+    body: "- feat: add a",
+    head: "feat/add-a",
+    base: "main",
+    draft: true,
+  });
+});
+
+test("pr creates a GitLab merge request through the API", async () => {
+  const { dir } = branch("git@gitlab.example.com:group/sub/r.git");
+  const server = await serve(
+    () => ({ iid: 3, web_url: "https://gitlab.example.com/group/sub/r/-/merge_requests/3" }),
+    201
+  );
+  let res;
+  try {
+    res = await otto(dir, ["pr", "--no-ai", "--json", "--draft"], [], {
+      OTTO_PR_API_URL: server.url,
+      GITLAB_TOKEN: "gl-test",
+    });
+  } finally {
+    server.close();
+  }
+  assert.equal(res.code, 0, res.out);
+  assert.equal(JSON.parse(res.stdout).number, 3);
+  const [req] = server.requests;
+  assert.equal(req.url, "/projects/group%2Fsub%2Fr/merge_requests");
+  assert.equal(req.headers["private-token"], "gl-test");
+  assert.equal(req.headers.authorization, undefined);
+  assert.deepEqual(req.body, {
+    source_branch: "feat/add-a",
+    target_branch: "main",
+    title: "Draft: feat: add a",
+    description: "- feat: add a",
+  });
+});
+
+test("pr fails with the API's error status and the compare URL", async () => {
+  const { dir } = branch("git@github.com:o/r.git");
+  const server = await serve(() => ({ message: "Validation Failed" }), 422);
+  let res;
+  try {
+    res = await otto(dir, ["pr", "--no-ai", "--json"], [], {
+      OTTO_PR_API_URL: server.url,
+      GH_TOKEN: "gh-test",
+    });
+  } finally {
+    server.close();
+  }
+  assert.equal(res.code, 14, res.out);
+  const { error } = JSON.parse(res.stdout);
+  assert.match(error, /responded 422: \{"message":"Validation Failed"\}/);
+  assert.match(error, /Open it by hand: https:\/\/github\.com\/o\/r\/compare\/main\.\.\.feat\/add-a\?/);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { git, otto, repo, serve } from "./helpers.js";
+
+const reply = JSON.stringify({ msg: "feat: add a", desc: "Adds the a file." });
+
+const commit = async (dir, extraEnv) => {
+  const { code, out } = await otto(dir, ["commit", "--yes", "--no-issue"], [], extraEnv);
+  assert.equal(code, 0, out);
+  assert.equal(git(dir, "log", "-1", "--format=%B"), "feat: add a\n\nAdds the a file.");
+};
+
+test("the openai adapter talks to an OpenAI-compatible gateway", async () => {
+  const server = await serve((body) => ({
+    id: "1",
+    object: "chat.completion",
+    created: 0,
+    model: body.model,
+    choices: [{ index: 0, message: { role: "assistant", content: reply }, finish_reason: "stop" }],
+  }));
+  try {
+    await commit(repo(), {
+      OTTO_AI_PROVIDER: "openai",
+      OPENAI_BASE_URL: `${server.url}/v1`,
+      OPENAI_API_KEY: "sk-test",
+    });
+  } finally {
+    server.close();
+  }
+  const [req] = server.requests;
+  assert.equal(req.url, "/v1/chat/completions");
+  assert.equal(req.headers.authorization, "Bearer sk-test");
+  assert.equal(req.body.model, "gpt-4o-mini");
+  assert.deepEqual(req.body.response_format, { type: "json_object" });
+  assert.match(req.body.messages[0].content, /a\.txt/);
+});
+
+test("the ollama adapter posts to OLLAMA_HOST without streaming", async () => {
+  const server = await serve(() => ({ message: { role: "assistant", content: reply } }));
+  try {
+    await commit(repo(), {
+      OTTO_AI_PROVIDER: "ollama",
+      OLLAMA_HOST: `${server.url}/`,
+      OTTO_AI_MODEL: "qwen2.5",
+    });
+  } finally {
+    server.close();
+  }
+  const [req] = server.requests;
+  assert.equal(req.url, "/api/chat");
+  assert.equal(req.body.model, "qwen2.5");
+  assert.equal(req.body.stream, false);
+  assert.equal(req.body.format, "json");
+  assert.match(req.body.messages[0].content, /a\.txt/);
+});
+
+test("the anthropic adapter sends the key and API version and joins text blocks", async () => {
+  const half = Math.floor(reply.length / 2);
+  const server = await serve(() => ({
+    content: [
+      { type: "text", text: reply.slice(0, half) },
+      { type: "tool_use", id: "t", name: "x", input: {} },
+      { type: "text", text: reply.slice(half) },
+    ],
+  }));
+  try {
+    await commit(repo(), {
+      OTTO_AI_PROVIDER: "anthropic",
+      ANTHROPIC_BASE_URL: server.url,
+      ANTHROPIC_API_KEY: "ak-test",
+    });
+  } finally {
+    server.close();
+  }
+  const [req] = server.requests;
+  assert.equal(req.url, "/v1/messages");
+  assert.equal(req.headers["x-api-key"], "ak-test");
+  assert.equal(req.headers["anthropic-version"], "2023-06-01");
+  assert.equal(req.body.model, "claude-3-5-haiku-latest");
+  assert.equal(typeof req.body.max_tokens, "number");
+  assert.match(req.body.messages[0].content, /a\.txt/);
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { git, otto, repo, withOrigin } from "./helpers.js";
+
+test("a headless release without an AI key rolls back its checkpoint", async () => {
+  const dir = repo();
+  withOrigin(dir);
+  const { code, out } = await otto(dir, ["release", "--type", "patch", "--json"]);
+  assert.equal(code, 5, out);
+  assert.equal(fs.existsSync(path.join(dir, ".otto", "release.json")), false);
+  // Staged as it was before the release
+  assert.equal(git(dir, "diff", "--cached", "--name-only"), "a.txt");
+  assert.equal(git(dir, "tag"), "");
+});
+
+test("an interactive release falls back to a typed message when the AI fails", async () => {
+  const dir = repo();
+  withOrigin(dir);
+  const { out } = await otto(
+    dir,
+    ["release", "--type", "patch", "--push", "safe", "--no-changelog"],
+    [
+      ["Start Build & Release?", "\r"],
+      ["Files to commit", "\r"],
+      ["Commit Message", "fix: typed by hand\r"],
+    ]
+  );
+  assert.match(out, /Missing OPENAI_API_KEY/);
+  assert.equal(git(dir, "log", "-2", "--format=%s"), "1.0.1\nfix: typed by hand");
+  assert.equal(git(dir, "status", "--porcelain"), "");
+});
+
+test("cancelling the typed message rolls the release back", async () => {
+  const dir = repo();
+  withOrigin(dir);
+  const { out } = await otto(
+    dir,
+    ["release", "--type", "patch", "--push", "safe"],
+    [
+      ["Start Build & Release?", "\r"],
+      ["Files to commit", "\r"],
+      ["Commit Message", "\x03"],
+    ]
+  );
+  assert.match(out, /Rollback/);
+  assert.equal(git(dir, "log", "-1", "--format=%s"), "chore: init");
+  assert.equal(git(dir, "tag"), "");
+  assert.equal(fs.existsSync(path.join(dir, ".otto", "release.json")), false);
+});
+
+test("a rejected commit stops an interactive release", async () => {
+  const dir = repo();
+  withOrigin(dir);
+  const hook = path.join(dir, ".git", "hooks", "commit-msg");
+  // Rejects the release commit, not the version commit after it
+  fs.writeFileSync(hook, "#!/bin/sh\ngrep -q typed \"$1\" || exit 0\necho 'rejected by hook' >&2\nexit 1\n", { mode: 0o755 });
+  const { out } = await otto(
+    dir,
+    ["release", "--type", "patch", "--push", "safe"],
+    [
+      ["Start Build & Release?", "\r"],
+      ["Files to commit", "\r"],
+      ["Commit Message", "fix: typed by hand\r"],
+    ]
+  );
+  assert.match(out, /rejected by hook/);
+  assert.equal(git(dir, "log", "-1", "--format=%s"), "chore: init");
+  assert.equal(git(dir, "tag"), "");
+  assert.equal(git(dir, "ls-remote", "--tags", "origin"), "");
+});
+
+test("a headless release prints its result as JSON", async () => {
+  const dir = repo();
+  withOrigin(dir);
+  const { code, out } = await otto(dir, ["release", "--type", "minor", "-m", "feat: add a", "--json"]);
+  assert.equal(code, 0, out);
+  const result = JSON.parse(out.slice(out.indexOf("{\n")));
+  assert.equal(result.ok, true);
+  assert.equal(result.version, "1.1.0");
+  assert.equal(result.tag, "v1.1.0");
+  assert.equal(result.pushed, "origin/main");
+  assert.equal(result.commit, git(dir, "rev-parse", "HEAD"));
+  assert.equal(git(dir, "ls-remote", "--tags", "origin", "v1.1.0").split("\t")[1], "refs/tags/v1.1.0");
+});
+
+test("--no-ai without --message fails before the build runs", async () => {
+  const dir = repo();
+  withOrigin(dir);
+  const { code, out } = await otto(dir, ["release", "--type", "patch", "--no-ai", "--json"]);
+  assert.equal(code, 2, out);
+  assert.equal(JSON.parse(out).error, "--message is required when using --no-ai");
+  assert.equal(fs.existsSync(path.join(dir, "package-lock.json")), false);
+  assert.equal(fs.existsSync(path.join(dir, ".otto")), false);
+});
+
+test("a stable release's changelog starts at the previous stable tag", async () => {
+  const dir = repo();
+  withOrigin(dir);
+  git(dir, "tag", "v1.0.0");
+  let res = await otto(dir, ["release", "--type", "prepatch", "-m", "fix: pre work", "--json"]);
+  assert.equal(res.code, 0, res.out);
+  // Tags that aren't this project's releases
+  git(dir, "tag", "pkg@9.9.9");
+  git(dir, "tag", "nightly");
+  res = await otto(dir, ["release", "--type", "graduate", "--json"]);
+  assert.equal(res.code, 0, res.out);
+  const changelog = fs.readFileSync(path.join(dir, "CHANGELOG.md"), "utf8");
+  const section = changelog.split("\n## ")[1];
+  assert.match(section, /^v1\.0\.1 /);
+  assert.match(section, /- pre work \(/);
+});
+
+// v1.0.0, a feature, an rc tag, then only a fix
+function afterRc() {
+  const dir = repo();
+  withOrigin(dir);
+  git(dir, "tag", "v1.0.0");
+  git(dir, "commit", "-q", "--allow-empty", "-m", "feat: big feature");
+  git(dir, "tag", "v1.1.0-rc.0");
+  git(dir, "commit", "-q", "--allow-empty", "-m", "fix: small fix");
+  return dir;
+}
+
+test("the suggested bump counts commits since the last stable tag", async () => {
+  const { out } = await otto(afterRc(), ["release"], [["Release Type", "\x03"]]);
+  assert.match(out, /Suggested: minor \(since v1\.0\.0\)/);
+});
+
+test("--type auto counts commits since the last stable tag", async () => {
+  const dir = afterRc();
+  const { code, out } = await otto(dir, ["release", "--type", "auto", "-m", "chore: a", "--json"]);
+  assert.equal(code, 0, out);
+  assert.match(out, /Auto: minor \(since v1\.0\.0\)/);
+  assert.equal(git(dir, "describe", "--tags", "--exact-match"), "v1.1.0");
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { env, git, otto, repo, serve } from "./helpers.js";
+
+const lines = (edit = {}) =>
+  Array.from({ length: 12 }, (_, i) => edit[i + 1] ?? `line ${i + 1}`).join("\n") + "\n";
+
+// conflict.txt conflicting on lines 2 and 11 after merging `other` into main
+function conflicted(style = "merge") {
+  const dir = repo();
+  const file = path.join(dir, "conflict.txt");
+  fs.writeFileSync(file, lines());
+  git(dir, "add", ".");
+  git(dir, "commit", "-qm", "chore: base");
+  git(dir, "checkout", "-q", "-b", "other");
+  fs.writeFileSync(file, lines({ 2: "theirs 2", 11: "theirs 11" }));
+  git(dir, "commit", "-qam", "feat: theirs");
+  git(dir, "checkout", "-q", "main");
+  fs.writeFileSync(file, lines({ 2: "ours 2", 11: "ours 11" }));
+  git(dir, "commit", "-qam", "feat: ours");
+  const res = spawnSync("git", ["-c", `merge.conflictStyle=${style}`, "merge", "other"], { cwd: dir, env });
+  assert.equal(res.status, 1, String(res.stderr));
+  return { dir, file };
+}
+
+// An OpenAI-compatible stub resolving each conflict to "merged <n>"
+async function stub() {
+  let n = 0;
+  const server = await serve(() => ({
+    id: "1",
+    object: "chat.completion",
+    created: 0,
+    model: "stub",
+    choices: [
+      {
+        index: 0,
+        message: {
+          role: "assistant",
+          content: JSON.stringify({ resolution: `merged ${++n}`, reason: "Keeps both." }),
+        },
+        finish_reason: "stop",
+      },
+    ],
+  }));
+  return { ...server, env: { OPENAI_BASE_URL: server.url, OPENAI_API_KEY: "sk-test" } };
+}
+
+const resolve = async (dir, args) => {
+  const server = await stub();
+  try {
+    const res = await otto(dir, ["resolve", ...args], [], server.env);
+    return { ...res, prompts: server.requests.map((r) => r.body.messages[0].content) };
+  } finally {
+    server.close();
+  }
+};
+
+for (const style of ["diff3", "merge"]) {
+  test(`resolve sends ours, base, theirs and context for ${style} markers`, async () => {
+    const { dir } = conflicted(style);
+    const { code, out, prompts } = await resolve(dir, ["--dry-run", "--yes"]);
+    assert.equal(code, 0, out);
+    assert.equal(prompts.length, 2);
+    // Plain markers get their base from the index
+    assert.ok(
+      prompts[0].includes(
+        [
+          "Before the conflict:",
+          "line 1",
+          "",
+          "<<<<<<< ours",
+          "ours 2",
+          "||||||| base",
+          "line 2",
+          "=======",
+          "theirs 2",
+          ">>>>>>> theirs",
+          "",
+          "After the conflict:",
+          "line 3",
+        ].join("\n")
+      ),
+      prompts[0]
+    );
+    assert.match(prompts[1], /<<<<<<< ours\nours 11\n\|{7} base\nline 11\n=======\ntheirs 11\n>{7} theirs/);
+  });
+}
+
+test("resolve --yes leaves the conflicts in place without --accept-all", async () => {
+  const { dir, file } = conflicted();
+  const before = fs.readFileSync(file, "utf8");
+  const { code, out, prompts } = await resolve(dir, ["--yes"]);
+  assert.equal(code, 2, out);
+  assert.match(out, /--accept-all/);
+  assert.equal(prompts.length, 0);
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+  assert.equal(git(dir, "diff", "--name-only", "--diff-filter=U"), "conflict.txt");
+});
+
+test("resolve --yes --accept-all writes and stages every suggestion", async () => {
+  const { dir, file } = conflicted("diff3");
+  const { code, out, stdout } = await resolve(dir, ["--json", "--accept-all"]);
+  assert.equal(code, 0, out);
+  assert.deepEqual(JSON.parse(stdout).files, [
+    { file: "conflict.txt", total: 2, resolved: 2, staged: true, stopped: false },
+  ]);
+  assert.equal(fs.readFileSync(file, "utf8"), lines({ 2: "merged 1", 11: "merged 2" }));
+  assert.equal(git(dir, "diff", "--name-only", "--diff-filter=U"), "");
+  assert.equal(git(dir, "log", "-1", "--format=%s"), "feat: ours");
+});
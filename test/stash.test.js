@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { git, otto, repo } from "./helpers.js";
+
+test("stash --files takes a new file with a non-ASCII name", async () => {
+  const dir = repo();
+  fs.writeFileSync(path.join(dir, "café.txt"), "x\n");
+  const { code, out } = await otto(dir, ["stash", "--save", "wip", "--files", "café.txt", "--yes"]);
+  assert.equal(code, 0, out);
+  assert.equal(fs.existsSync(path.join(dir, "café.txt")), false);
+  assert.match(git(dir, "stash", "list"), /^stash@\{0\}: On main: wip$/);
+});
+
+test("stash --rename moves the renamed stash to the top", async () => {
+  const dir = repo();
+  for (const name of ["one", "two", "three"]) {
+    fs.writeFileSync(path.join(dir, name), "x\n");
+    git(dir, "add", name);
+    git(dir, "stash", "-q", "-m", name);
+  }
+  const hash = git(dir, "rev-parse", "stash@{1}");
+  const { code, out } = await otto(dir, ["stash", "--rename", "second", "--ref", "stash@{1}", "--yes"]);
+  assert.equal(code, 0, out);
+  assert.equal(
+    git(dir, "stash", "list", "--format=%gs"),
+    ["On main: second", "On main: three", "On main: one"].join("\n")
+  );
+  assert.equal(git(dir, "rev-parse", "stash@{0}"), hash);
+});
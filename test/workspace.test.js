@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { git, otto, repo, withOrigin } from "./helpers.js";
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), "utf8");
+
+// packages/a (tabs, CRLF, no final newline), packages/b depending on a,
+// packages/c on its own; each tagged at its version
+function monorepo() {
+  const dir = repo();
+  const write = (file, text) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  };
+  write("package.json", '{"name":"root","private":true,"workspaces":["packages/*"]}\n');
+  write("packages/a/package.json", '{\r\n\t"name": "@x/a",\r\n\t"version": "1.0.0"\r\n}');
+  write(
+    "packages/b/package.json",
+    JSON.stringify({ name: "@x/b", version: "2.0.0", dependencies: { "@x/a": "^1.0.0" } }, null, 4) + "\n"
+  );
+  write("packages/c/package.json", '{"name":"@x/c","version":"3.0.0"}\n');
+  git(dir, "add", ".");
+  git(dir, "commit", "-qm", "chore: workspace");
+  for (const [name, version] of [["a", "1.0.0"], ["b", "2.0.0"], ["c", "3.0.0"]])
+    git(dir, "tag", `@x/${name}@${version}`);
+  withOrigin(dir);
+  return dir;
+}
+
+const release = (dir, ...args) => otto(dir, ["release", ...args]);
+
+test("a bumped manifest keeps its formatting", async () => {
+  const dir = monorepo();
+  fs.writeFileSync(path.join(dir, "packages/a/x.js"), "x\n");
+  const { code, out } = await release(dir, "--type", "minor", "--packages", "@x/a", "-m", "feat(a): x", "--json");
+  assert.equal(code, 0, out);
+  assert.equal(read(dir, "packages/a/package.json"), '{\r\n\t"name": "@x/a",\r\n\t"version": "1.1.0"\r\n}');
+});
+
+test("a package depending on a released one is released with it", async () => {
+  const dir = monorepo();
+  fs.writeFileSync(path.join(dir, "packages/a/x.js"), "x\n");
+  const { code, out } = await release(dir, "--type", "minor", "--packages", "@x/a", "-m", "feat(a): x", "--json");
+  assert.equal(code, 0, out);
+  const b = JSON.parse(read(dir, "packages/b/package.json"));
+  assert.equal(b.version, "2.0.1");
+  assert.equal(b.dependencies["@x/a"], "^1.1.0");
+  assert.match(read(dir, "packages/b/CHANGELOG.md"), /### Dependencies\n\n- Updated @x\/a to 1\.1\.0/);
+  assert.equal(git(dir, "tag", "--points-at", "HEAD"), "@x/a@1.1.0\n@x/b@2.0.1");
+  assert.equal(JSON.parse(read(dir, "packages/c/package.json")).version, "3.0.0");
+});
+
+test("the bump count leaves out packages auto resolves to no bump", async () => {
+  const dir = monorepo();
+  fs.writeFileSync(path.join(dir, "packages/c/notes.md"), "x\n");
+  git(dir, "add", ".");
+  git(dir, "commit", "-qm", "docs(c): notes");
+  fs.writeFileSync(path.join(dir, "packages/c/notes.md"), "y\n");
+  git(dir, "add", ".");
+  git(dir, "commit", "-qm", "feat(c): more notes");
+  fs.writeFileSync(path.join(dir, "packages/b/x.js"), "x\n");
+  git(dir, "add", ".");
+  git(dir, "commit", "-qm", "chore(b): tidy");
+  const { code, out } = await release(dir, "--type", "auto", "-m", "chore: lock", "--json");
+  assert.equal(code, 0, out);
+  assert.match(out, /Bumping 1 package\(s\)/);
+  assert.equal(git(dir, "tag", "--points-at", "HEAD"), "@x/c@3.1.0");
+});